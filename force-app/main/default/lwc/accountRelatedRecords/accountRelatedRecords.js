@@ -1,9 +1,30 @@
 import { LightningElement, api, wire } from "lwc";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import { NavigationMixin } from "lightning/navigation";
+import {
+    subscribe,
+    unsubscribe,
+    onError,
+    isEmpEnabled,
+} from "lightning/empApi";
+import USER_ID from "@salesforce/user/Id";
+import {
+    publish,
+    subscribe as subscribeToChannel,
+    unsubscribe as unsubscribeFromChannel,
+    MessageContext,
+} from "lightning/messageService";
+import RECORD_EVENT_CHANNEL from "@salesforce/messageChannel/Related_Record_Event__c";
+import RECORDS_COMMAND_CHANNEL from "@salesforce/messageChannel/Related_Records_Command__c";
+import { FlowAttributeChangeEvent } from "lightning/flowSupport";
 
 // ---- LDS IMPORTS (Industry Standard for single-record CRUD) ----
-import { getRecord, getFieldValue } from "lightning/uiRecordApi";
+import {
+    getRecord,
+    getFieldValue,
+    getRecordCreateDefaults,
+    getPicklistValues,
+} from "lightning/uiRecordApi";
 import { deleteRecord } from "lightning/uiRecordApi";
 import {
     updateRecord,
@@ -15,14 +36,138 @@ import ACCOUNT_NAME_FIELD from "@salesforce/schema/Account.Name";
 import ACCOUNT_INDUSTRY_FIELD from "@salesforce/schema/Account.Industry";
 import ACCOUNT_PHONE_FIELD from "@salesforce/schema/Account.Phone";
 import ACCOUNT_WEBSITE_FIELD from "@salesforce/schema/Account.Website";
+import OPPORTUNITY_STAGE_FIELD from "@salesforce/schema/Opportunity.StageName";
 
 // ---- APEX IMPORTS (Only for what LDS can't do: pagination, search, aggregation) ----
-import getRelatedContacts from "@salesforce/apex/AccountRelatedRecordsController.getRelatedContacts";
-import getRelatedOpportunities from "@salesforce/apex/AccountRelatedRecordsController.getRelatedOpportunities";
-import getContactCount from "@salesforce/apex/AccountRelatedRecordsController.getContactCount";
-import getOpportunityCount from "@salesforce/apex/AccountRelatedRecordsController.getOpportunityCount";
-import searchContacts from "@salesforce/apex/AccountRelatedRecordsController.searchContacts";
-import searchOpportunities from "@salesforce/apex/AccountRelatedRecordsController.searchOpportunities";
+import getInitialData from "@salesforce/apex/AccountRelatedRecordsController.getInitialData";
+import getRelatedRecords from "@salesforce/apex/AccountRelatedRecordsController.getRelatedRecords";
+import getRelatedRecordCount from "@salesforce/apex/AccountRelatedRecordsController.getRelatedRecordCount";
+import getRelatedRecordsByIds from "@salesforce/apex/AccountRelatedRecordsController.getRelatedRecordsByIds";
+import locateRelatedRecord from "@salesforce/apex/AccountRelatedRecordsController.locateRelatedRecord";
+import searchRelatedRecords from "@salesforce/apex/AccountRelatedRecordsController.searchRelatedRecords";
+import exportRelatedRecords from "@salesforce/apex/AccountRelatedRecordsController.exportRelatedRecords";
+import bulkUpdateField from "@salesforce/apex/AccountRelatedRecordsController.bulkUpdateField";
+import bulkChangeOwner from "@salesforce/apex/AccountRelatedRecordsController.bulkChangeOwner";
+import bulkDeleteRecords from "@salesforce/apex/AccountRelatedRecordsController.bulkDeleteRecords";
+import getDeleteImpact from "@salesforce/apex/AccountRelatedRecordsController.getDeleteImpact";
+import undeleteRecord from "@salesforce/apex/AccountRelatedRecordsController.undeleteRecord";
+import getSavedViews from "@salesforce/apex/AccountRelatedRecordsController.getSavedViews";
+import saveView from "@salesforce/apex/AccountRelatedRecordsController.saveView";
+import deleteSavedView from "@salesforce/apex/AccountRelatedRecordsController.deleteSavedView";
+import setDefaultView from "@salesforce/apex/AccountRelatedRecordsController.setDefaultView";
+import getOpportunityPipeline from "@salesforce/apex/AccountRelatedRecordsController.getOpportunityPipeline";
+import getCurrencyInfo from "@salesforce/apex/AccountRelatedRecordsController.getCurrencyInfo";
+import getRecordAccess from "@salesforce/apex/AccountRelatedRecordsController.getRecordAccess";
+
+import {
+    buildColumns,
+    iconFor,
+    flattenRecord,
+    visibleColumns,
+    columnChoices,
+    withAccountColumn,
+    ROW_CLASS_FIELD,
+} from "./columnBuilder";
+import {
+    CHANGE_TYPES,
+    changeEventChannel,
+    parseChangeEvent,
+    isGapEvent,
+    isRelevantChange,
+    isUnattributedDelete,
+    conflictingFields,
+} from "./liveUpdates";
+import {
+    EXPORT_FORMATS,
+    toExportColumns,
+    buildCsv,
+    buildXlsxFile,
+    downloadFile,
+    exportFileName,
+} from "./exportUtils";
+import {
+    DATE_PRESETS,
+    FILTER_FIELDS,
+    buildFilterControls,
+    toConditions,
+    activeFilterCount,
+    datePresetRange,
+} from "./filterUtils";
+import {
+    VIEW_ACTIONS,
+    viewSettingsOf,
+    parseViewSettings,
+    viewLabel,
+} from "./savedViews";
+import { layoutSections, recordTypeChoice } from "./recordCreate";
+import { buildPipelineView } from "./pipelineChart";
+import {
+    mergeDrafts,
+    withStageProbability,
+    withControllerValues,
+} from "./inlineEditing";
+import { formatCount, formatPhone } from "./localeFormat";
+import {
+    DISPLAY_MODES,
+    supportsBoard,
+    canMoveCards,
+    buildBoardColumns,
+    withStage,
+} from "./kanbanBoard";
+import {
+    ACCESS_BATCH_SIZE,
+    idsWithoutAccess,
+    withPendingAccess,
+    withLoadedAccess,
+    withoutAccess,
+    withRecordAccess,
+} from "./recordAccess";
+import { withHighlightedMatches } from "./searchHighlight";
+import {
+    supportsRowDetails,
+    withExpandColumn,
+    withExpandedState,
+    expandedRowViews,
+    toggleExpanded,
+} from "./rowDetails";
+import { cacheKey, readCache, writeCache, evictCache } from "./tabCache";
+import {
+    fetchPages,
+    toBatches,
+    runSequentially,
+} from "./sequentialCalls";
+import {
+    findConflicts,
+    resolveDrafts,
+    withFieldChange,
+    conflictViews,
+} from "./saveConflicts";
+import {
+    RECORD_EVENTS,
+    COMMANDS,
+    recordEventMessage,
+    isCommandFor,
+    commandTabs,
+    commandFilterValues,
+} from "./messaging";
+import {
+    SELECTION_MODES,
+    selectionSettings,
+    validateSelection,
+    DEFAULT_URL_PATTERN,
+    urlPatternFrom,
+    recordUrlFor,
+    withRecordUrls,
+    withRecordLinks,
+} from "./embedding";
+import {
+    readDrafts,
+    writeDrafts,
+    withDraftBases,
+    splitDrafts,
+    otherDrafts,
+    unsavedSummary,
+} from "./unsavedDrafts";
 
 /**
  * INTERVIEW TALKING POINTS:
@@ -30,25 +175,130 @@ import searchOpportunities from "@salesforce/apex/AccountRelatedRecordsControlle
  * ┌────────────────────┬──────────────────────────────────────────────────┐
  * │ LDS (uiRecordApi)  │ Single-record CRUD:                             │
  * │                    │ • getRecord — Account info (cached, reactive)   │
+ * │                    │ • getRecordCreateDefaults — New form layout     │
+ * │                    │ • getPicklistValues — Kanban stage columns      │
  * │                    │ • updateRecord — inline edit save               │
  * │                    │ • deleteRecord — row action delete              │
  * │                    │ • notifyRecordUpdateAvailable                   │
  * ├────────────────────┼──────────────────────────────────────────────────┤
  * │ Custom Apex        │ Complex queries LDS can't do:                   │
- * │                    │ • OFFSET/LIMIT pagination                       │
- * │                    │ • Server-side LIKE search across fields         │
+ * │                    │ • Keyset (cursor) pagination, no 2,000 cap      │
+ * │                    │ • SOSL full-text search across all fields       │
  * │                    │ • COUNT() aggregations for badges               │
+ * │                    │ • GROUP BY aggregates for pipeline analytics    │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Configurable tabs  │ • relatedLists design property (App Builder)    │
+ * │                    │ • One tab per Account child relationship        │
+ * │                    │ • Columns from a field set via describe         │
  * ├────────────────────┼──────────────────────────────────────────────────┤
- * │ Search             │ • Server-side SOQL LIKE (searches ALL records)  │
- * │                    │ • 300ms debounce to avoid excess API calls      │
- * │                    │ • Disables infinite loading during search       │
+ * │ Initial load       │ • One getInitialData call for the first paint   │
+ * │                    │ • Tabs load their rows when first opened        │
+ * │                    │ • Client cache per Account, revalidated in the  │
+ * │                    │   background (stale-while-revalidate)           │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Search             │ • SOSL over all searchable fields, by relevance │
+ * │                    │ • 300ms debounce, at least 2 characters         │
+ * │                    │ • Paged matches: "200 of 1,340 matches"         │
+ * │                    │ • Matched words highlighted in the cells        │
  * │                    │ • Clearing search restores paginated view       │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Filters            │ • Per-object panel (stage, close date, amount)  │
+ * │                    │ • Applied server-side as bound SOQL conditions  │
+ * │                    │ • Combine with search, paging, counts, export   │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Saved views        │ • Tab, sort, search, filters, visible columns   │
+ * │                    │ • Stored per user in Apex (follows the user)    │
+ * │                    │ • Default view opens on load; team sharing      │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Hierarchy roll-up  │ • "Include child accounts" toggle (ParentId)    │
+ * │                    │ • Same queries with AccountId IN :hierarchy     │
+ * │                    │ • Account column; depth/size guard in Apex      │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Currency & locale  │ • Rows in their own CurrencyIsoCode             │
+ * │                    │ • Totals converted to the user's currency       │
+ * │                    │ • @salesforce/i18n locale, currency, time zone  │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Kanban board       │ • Opportunities by stage, same rows as table    │
+ * │                    │ • Drag & drop → LDS updateRecord (optimistic)   │
+ * │                    │ • Rolls the card back when the save fails       │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Expandable rows    │ • Opportunity products + contact roles          │
+ * │                    │ • Loaded from Apex when a row is opened         │
+ * │                    │ • Line items edit inline (LDS updateRecord)     │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Inline editors     │ • Custom datatable types: picklist + lookup     │
+ * │                    │ • Record-type / dependent picklist values (LDS) │
+ * │                    │ • New stage offers its default Probability      │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Save conflicts     │ • Rows re-read before saving (LastModifiedDate) │
+ * │                    │ • Yours vs theirs per field: mine/theirs/merge  │
+ * │                    │ • LDS ifUnmodifiedSince closes the race         │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Unsaved drafts     │ • sessionStorage per Account + tab, restored    │
+ * │                    │ • Prompt before refresh, tab switch, navigation │
+ * │                    │ • Drafts of rows a search hides are kept        │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Live updates       │ • Change Data Capture through lightning/empApi  │
+ * │                    │ • Events narrowed to this Account client-side   │
+ * │                    │ • Only changed rows re-read, then highlighted   │
+ * │                    │ • Warns when a change hits an unsaved draft     │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Message service    │ • LMS: row focus, selection, create, update,    │
+ * │                    │   delete published with Ids + object type       │
+ * │                    │ • Refresh / filter (stage, contact) commands    │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Flow & sites       │ • Flow screen: selection mode, min/max, output  │
+ * │                    │   of the selected Ids, validate() hook          │
+ * │                    │ • Record links from NavigationMixin.GenerateUrl │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Bulk actions       │ • Row selection + action bar                    │
+ * │                    │ • Batches of 200, partial-success Apex DML      │
+ * │                    │ • Progress bar + per-record failure summary     │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Activity timeline  │ • Tasks, calls, Events, emails in one list      │
+ * │                    │ • Merged newest first in Apex, keyset paged     │
+ * │                    │ • Log a Call / New Task prefill Who + What      │
+ * ├────────────────────┼──────────────────────────────────────────────────┤
+ * │ Permissions        │ • Apex in user mode; unreadable fields dropped  │
+ * │                    │ • New / edit / Delete follow object CRUD + FLS  │
+ * │                    │ • Per-row edit / delete from UserRecordAccess   │
  * └────────────────────┴──────────────────────────────────────────────────┘
  */
 
 // --- Constants ---
-const PAGE_SIZE = 50; // Records per page for OFFSET pagination
+const PAGE_SIZE = 50; // Records per page for cursor pagination
+const MAX_RELOAD_SIZE = 2000; // Apex page size cap when reloading loaded rows
+const EXPORT_BATCH_SIZE = 2000; // Rows per Apex call while exporting
+const MAX_EXPORT_ROWS = 50000; // Keeps the browser responsive on huge lists
 const SEARCH_DEBOUNCE_MS = 300; // Delay (ms) before firing server-side search
+const MIN_SEARCH_LENGTH = 2; // Shortest term Apex (SOSL) searches for
+const BULK_BATCH_SIZE = 200; // Selected records per bulk action Apex call
+const UNDO_WINDOW_MS = 10000; // How long the "Undo" delete notice stays up
+const LIVE_UPDATE_BATCH_MS = 500; // Collects bursts of change events into one Apex call
+const HIGHLIGHT_MS = 6000; // How long live-updated rows stay highlighted
+const HIGHLIGHT_CLASS = "slds-theme_shade slds-theme_alert-texture";
+const PIPELINE_REFRESH_MS = 500; // Collects list changes into one pipeline aggregate call
+const CACHE_WRITE_MS = 1000; // Collects row changes into one client cache write
+const DEFAULT_RELATED_LISTS = "Contacts,Opportunities";
+// Tab of c-activity-timeline; not a relationship name, so no list tab clashes
+const ACTIVITY_TAB_KEY = "activity-timeline";
+
+// What the unsaved changes prompt does when confirmed
+const UNSAVED_PROMPT_ACTIONS = {
+    SWITCH_TAB: "switchTab",
+    OPEN_VIEW: "openView",
+    STANDARD_VIEW: "standardView",
+    FILTER_COMMAND: "filterCommand",
+    REVEAL_RECORD: "revealRecord",
+    REFRESH: "refresh",
+    NAVIGATE: "navigate",
+};
+
+const BULK_ACTION_TITLES = {
+    update: "Update Field",
+    owner: "Change Owner",
+    delete: "Delete Records",
+};
 
 const ACCOUNT_FIELDS = [
     ACCOUNT_NAME_FIELD,
@@ -57,191 +307,217 @@ const ACCOUNT_FIELDS = [
     ACCOUNT_WEBSITE_FIELD,
 ];
 
-// Row actions
-const ROW_ACTIONS = [
-    { label: "View Record", name: "view", iconName: "utility:preview" },
-    { label: "Delete", name: "delete", iconName: "utility:delete" },
-];
+/**
+ * Parses the relatedLists design property.
+ * Format: "RelationshipName[:FieldSetName], ..." e.g. "Contacts:Key_Fields,Cases"
+ */
+function parseRelatedLists(value) {
+    const seen = new Set();
+    return (value || DEFAULT_RELATED_LISTS)
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.length > 0)
+        .map((entry) => {
+            const [relationshipName, fieldSetName] = entry
+                .split(":")
+                .map((part) => part.trim());
+            return { relationshipName, fieldSetName: fieldSetName || null };
+        })
+        .filter((config) => {
+            const key = config.relationshipName.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
 
-// Contact columns
-const CONTACT_COLUMNS = [
-    {
-        label: "Name",
-        fieldName: "recordUrl",
-        type: "url",
-        sortable: true,
-        typeAttributes: {
-            label: { fieldName: "Name" },
-            target: "_self",
-            tooltip: { fieldName: "Name" },
-        },
-    },
-    {
-        label: "Email",
-        fieldName: "Email",
-        type: "email",
-        sortable: true,
-        editable: true,
-    },
-    {
-        label: "Phone",
-        fieldName: "Phone",
-        type: "phone",
-        sortable: true,
-        editable: true,
-    },
-    {
-        label: "Title",
-        fieldName: "Title",
-        type: "text",
-        sortable: true,
-        editable: true,
-    },
-    {
-        label: "Department",
-        fieldName: "Department",
-        type: "text",
-        sortable: true,
-        editable: true,
-    },
-    {
-        label: "City",
-        fieldName: "MailingCity",
-        type: "text",
-        sortable: true,
-        editable: true,
-    },
-    {
-        label: "State",
-        fieldName: "MailingState",
-        type: "text",
-        sortable: true,
-        editable: true,
-    },
-    { type: "action", typeAttributes: { rowActions: ROW_ACTIONS } },
-];
+/**
+ * Splits an LDS updateRecord error into record-level messages and
+ * field-level messages keyed by field API name.
+ */
+function parseSaveError(error) {
+    const output = error?.body?.output || {};
+    const messages = (output.errors || []).map((e) => e.message);
+    const fieldErrors = output.fieldErrors || {};
+    const fieldNames = Object.keys(fieldErrors);
+    fieldNames.forEach((fieldName) => {
+        fieldErrors[fieldName].forEach((e) => messages.push(e.message));
+    });
+    if (!messages.length) {
+        messages.push(error?.body?.message || "An unexpected error occurred");
+    }
+    return { messages, fieldNames };
+}
 
-// Opportunity columns
-const OPPORTUNITY_COLUMNS = [
-    {
-        label: "Name",
-        fieldName: "recordUrl",
-        type: "url",
-        sortable: true,
-        typeAttributes: {
-            label: { fieldName: "Name" },
-            target: "_self",
-            tooltip: { fieldName: "Name" },
-        },
-    },
-    {
-        label: "Stage",
-        fieldName: "StageName",
-        type: "text",
-        sortable: true,
-        editable: true,
-    },
-    {
-        label: "Amount",
-        fieldName: "Amount",
-        type: "currency",
-        sortable: true,
-        editable: true,
-        typeAttributes: { currencyCode: "USD" },
-        cellAttributes: { alignment: "left" },
-    },
-    {
-        label: "Close Date",
-        fieldName: "CloseDate",
-        type: "date-local",
-        sortable: true,
-        editable: true,
-        typeAttributes: { month: "short", day: "2-digit", year: "numeric" },
-    },
-    {
-        label: "Probability (%)",
-        fieldName: "Probability",
-        type: "percent",
-        sortable: true,
-        editable: true,
-        typeAttributes: { maximumFractionDigits: 0 },
-    },
-    {
-        label: "Type",
-        fieldName: "Type",
-        type: "text",
-        sortable: true,
-        editable: true,
-    },
-    {
-        label: "Next Step",
-        fieldName: "NextStep",
-        type: "text",
-        sortable: true,
-        editable: true,
-    },
-    { type: "action", typeAttributes: { rowActions: ROW_ACTIONS } },
-];
+// Notice above the table while drafted rows aren't among the rows shown
+function hiddenDraftsLabel(count) {
+    const rows =
+        count === 1
+            ? "1 row with unsaved changes isn't"
+            : `${count} rows with unsaved changes aren't`;
+    return `${rows} shown (hidden by the search or filters, or not loaded yet). Their changes are kept.`;
+}
 
 export default class AccountRelatedRecords extends NavigationMixin(
     LightningElement,
 ) {
     // ---- PUBLIC API ----
-    @api recordId;
+    /**
+     * The Account. Record pages may reuse the component for another
+     * Account, so a new value reopens the lists (from the cache if possible).
+     */
+    @api
+    get recordId() {
+        return this._recordId;
+    }
+    set recordId(value) {
+        this._setAccount(value);
+    }
 
-    // ---- COLUMN DEFS ----
-    contactColumns = CONTACT_COLUMNS;
-    opportunityColumns = OPPORTUNITY_COLUMNS;
+    /**
+     * Flow input: the Account, where there is no record page to supply
+     * recordId. Same as setting recordId.
+     */
+    @api
+    get accountId() {
+        return this._recordId;
+    }
+    set accountId(value) {
+        this._setAccount(value);
+    }
 
-    // ---- PAGINATED DATA (normal browsing mode) ----
-    _paginatedContacts = [];
-    _paginatedOpportunities = [];
+    /**
+     * Design property: which Account child relationships to show as tabs,
+     * each with an optional field set driving its columns.
+     */
+    @api relatedLists = DEFAULT_RELATED_LISTS;
 
-    // ---- SEARCH RESULTS (search mode) ----
-    _searchContacts = [];
-    _searchOpportunities = [];
+    /**
+     * Design property: leaves out the Activity tab (Tasks, Events, emails).
+     */
+    @api hideActivityTimeline = false;
 
-    // ---- LDS ACCOUNT RECORD ----
-    _accountRecord;
+    /**
+     * Design property: relationship name of the tab to open first, e.g.
+     * "Contacts" (else the first tab, or the one open when last seen).
+     */
+    @api initialTab;
 
-    // ---- TOTAL COUNTS (for badges) ----
-    totalContactCount = 0;
-    totalOpportunityCount = 0;
+    /**
+     * What the checkbox column is for (embedding.js SELECTION_MODES):
+     * "bulk" on record pages; Flows pick records with "multiple" or
+     * "single", or show them read-only with "none".
+     */
+    @api selectionMode = SELECTION_MODES.BULK;
+    @api maxSelections; // "multiple": the most rows that can be selected
+    @api minSelections; // Flow validation: the fewest rows to continue with
+
+    // Flow outputs, reported with FlowAttributeChangeEvent: the rows
+    // selected on the open tab
+    @api selectedRecordIds = [];
+    @api selectedRecordId;
+
+    // Set by Flow screens only: NEXT, BACK, FINISH... (see _isInFlow)
+    @api availableActions;
+
+    /**
+     * Flow validation when the user navigates: the selection of the open
+     * tab against minSelections and maxSelections.
+     * @returns {{isValid: boolean, errorMessage?: string}}
+     */
+    @api
+    validate() {
+        return validateSelection(
+            this._activeSelection().length,
+            this.minSelections,
+            this.maxSelections,
+        );
+    }
+
+    // ---- TAB STATE (one entry per configured related list) ----
+    // Each tab holds its own paginated data, search results, counts,
+    // drafts, sort and error state. Updated immutably via _updateTab.
+    tabs = [];
 
-    // ---- PAGINATION STATE ----
-    _contactOffset = 0;
-    _opportunityOffset = 0;
-    enableContactInfiniteLoading = true;
-    enableOpportunityInfiniteLoading = true;
+    // ---- LDS ACCOUNT RECORD ----
+    _accountRecord;
+    _recordId;
+    _isConnected = false;
+    _cacheTimer;
 
-    // ---- DRAFT VALUES ----
-    contactDraftValues = [];
-    opportunityDraftValues = [];
+    // ---- CURRENCIES (user's currency + org conversion rates) ----
+    currencyInfo;
 
     // ---- LOADING / ERROR ----
     isLoading = true;
-    contactError;
-    opportunityError;
     isSaving = false;
 
-    // ---- SEARCH STATE ----
-    contactSearchTerm = "";
-    opportunitySearchTerm = "";
-    _isContactSearching = false;
-    _isOpportunitySearching = false;
-    _contactDebounceTimer;
-    _opportunityDebounceTimer;
+    // ---- SEARCH DEBOUNCE TIMERS (keyed by tab) ----
+    _debounceTimers = {};
 
     // ---- UI STATE ----
-    activeTab = "contacts";
-    contactSortBy;
-    contactSortDirection;
-    opportunitySortBy;
-    opportunitySortDirection;
-
-    // ---- FLAGS to prevent duplicate loadmore calls ----
-    _contactsLoading = false;
-    _opportunitiesLoading = false;
+    activeTabKey;
+    datePresetOptions = DATE_PRESETS;
+
+    // ---- NEW RECORD DIALOG (undefined when closed) ----
+    createDialog;
+    _createObjectApiName; // wire params of the create form layout
+    _createRecordTypeId;
+
+    // ---- SAVED VIEWS ----
+    savedViews = [];
+    activeViewId;
+    viewDialog; // save dialog state (undefined when closed)
+
+    // ---- ACCOUNT HIERARCHY (roll-up mode) ----
+    hierarchy; // AccountHierarchyService.HierarchyInfo
+    includeChildAccounts = false;
+
+    // ---- KANBAN BOARD ----
+    stageOptions = []; // StageName picklist values (board columns)
+    _stageRecordTypeId; // wire param: record type the stages are read for
+    _dragCard; // {key, recordId} of the card being dragged
+    boardDropStage; // column highlighted as drop target
+
+    // ---- OPPORTUNITY PIPELINE (summary of the first Opportunity tab) ----
+    pipeline;
+    _pipelineTimer;
+    _pipelineRequest = 0; // ignores responses of superseded requests
+
+    // ---- BULK ACTION DIALOG (undefined when closed) ----
+    bulkAction;
+
+    // ---- SAVE CONFLICT DIALOG (undefined when closed) ----
+    saveConflict; // {key, draftValues, versions, conflicts}
+
+    // ---- UNSAVED CHANGES PROMPT (undefined when closed) ----
+    // {action, title, message, confirmLabel, tabKey, pageReference}
+    unsavedPrompt;
+
+    // ---- DELETE CONFIRMATION + UNDO (undefined when closed) ----
+    deleteConfirm;
+    undoNotice;
+    _undoTimer;
+
+    // ---- LIVE UPDATES (CDC subscriptions keyed by channel) ----
+    _subscriptions = {}; // channel → Promise of the subscription
+    _isEmpErrorHandlerSet = false;
+    _pendingChanges = {}; // tab key → Set of changed record Ids
+    _liveTimers = {};
+    _countTimers = {}; // tab key → recount after deletes of unloaded rows
+    _highlightTimers = new Set();
+
+    // ---- LIGHTNING MESSAGE SERVICE (other components on the page) ----
+    @wire(MessageContext) messageContext;
+    _commandSubscription;
+
+    // ---- ROW TO SCROLL TO after the next render ----
+    _scrollTarget; // {key, recordId}
+
+    // ---- FLOW SCREENS + EXPERIENCE CLOUD (embedding.js) ----
+    _urlPattern = DEFAULT_URL_PATTERN; // record URLs of this app or site
+    _isUrlPatternRequested = false;
+    _reportedSelection = ""; // selection last reported to the Flow
 
     // =========================================================
     //  LDS WIRE: Account Info
@@ -255,365 +531,2160 @@ export default class AccountRelatedRecords extends NavigationMixin(
         }
     }
 
-    // =====================
-    //  LIFECYCLE
-    // =====================
-    connectedCallback() {
-        this._loadInitialData();
-    }
-
-    disconnectedCallback() {
-        // Clean up debounce timers
-        clearTimeout(this._contactDebounceTimer);
-        clearTimeout(this._opportunityDebounceTimer);
+    // =========================================================
+    //  APEX WIRE: Currencies (cacheable) for converted totals
+    // =========================================================
+    @wire(getCurrencyInfo)
+    wiredCurrencyInfo({ data, error }) {
+        if (data) {
+            this.currencyInfo = data;
+        } else if (error) {
+            console.error("Error loading currencies:", error);
+        }
     }
 
-    async _loadInitialData() {
-        this.isLoading = true;
-        try {
-            const [
-                contactsResult,
-                opportunitiesResult,
-                contactCount,
-                oppCount,
-            ] = await Promise.all([
-                getRelatedContacts({
-                    accountId: this.recordId,
-                    pageSize: PAGE_SIZE,
-                    offsetVal: 0,
-                }),
-                getRelatedOpportunities({
-                    accountId: this.recordId,
-                    pageSize: PAGE_SIZE,
-                    offsetVal: 0,
+    // =========================================================
+    //  LDS WIRE: Page layout of the New record form
+    // =========================================================
+    @wire(getRecordCreateDefaults, {
+        objectApiName: "$_createObjectApiName",
+        recordTypeId: "$_createRecordTypeId",
+    })
+    wiredCreateDefaults({ data, error }) {
+        if (!this.createDialog?.isForm) return;
+        if (data) {
+            this.createDialog = {
+                ...this.createDialog,
+                sections: layoutSections(data.layout, {
+                    [this.createDialog.parentField]: this.recordId,
                 }),
-                getContactCount({ accountId: this.recordId }),
-                getOpportunityCount({ accountId: this.recordId }),
-            ]);
-
-            this._paginatedContacts = this._addRecordUrls(contactsResult);
-            this._paginatedOpportunities =
-                this._addRecordUrls(opportunitiesResult);
-            this.totalContactCount = contactCount;
-            this.totalOpportunityCount = oppCount;
-
-            this._contactOffset = contactsResult.length;
-            this._opportunityOffset = opportunitiesResult.length;
-
-            this.enableContactInfiniteLoading =
-                contactsResult.length >= PAGE_SIZE;
-            this.enableOpportunityInfiniteLoading =
-                opportunitiesResult.length >= PAGE_SIZE;
-
-            this.contactError = undefined;
-            this.opportunityError = undefined;
-        } catch (error) {
-            this.contactError = error;
-            this.opportunityError = error;
-        } finally {
-            this.isLoading = false;
+                isLoadingLayout: false,
+            };
+        } else if (error) {
+            this.createDialog = {
+                ...this.createDialog,
+                isLoadingLayout: false,
+                errorMessage:
+                    error.body?.message || "Could not load the record form",
+            };
         }
     }
 
-    // =============================
-    //  COMPUTED: Which data to show
-    //  Search mode → search results
-    //  Normal mode → paginated data
-    // =============================
-
-    /**
-     * The datatable shows either search results OR paginated data,
-     * never both. This keeps the two concerns cleanly separated.
-     */
-    get displayedContacts() {
-        return this._isContactSearchActive
-            ? this._searchContacts
-            : this._paginatedContacts;
+    // =========================================================
+    //  LDS WIRE: Opportunity stages (Kanban board columns)
+    // =========================================================
+    @wire(getPicklistValues, {
+        recordTypeId: "$_stageRecordTypeId",
+        fieldApiName: OPPORTUNITY_STAGE_FIELD,
+    })
+    wiredStages({ data, error }) {
+        if (data) {
+            this.stageOptions = data.values.map(({ label, value }) => ({
+                label,
+                value,
+            }));
+        } else if (error) {
+            console.error("Error loading opportunity stages:", error);
+        }
     }
 
-    get displayedOpportunities() {
-        return this._isOpportunitySearchActive
-            ? this._searchOpportunities
-            : this._paginatedOpportunities;
+    // =====================
+    //  LIFECYCLE
+    // =====================
+    connectedCallback() {
+        this._isConnected = true;
+        this._openAccount();
+        this._subscribeToCommands();
+        window.addEventListener("beforeunload", this._handleBeforeUnload);
     }
 
-    // Is a search active? (non-empty search term)
-    get _isContactSearchActive() {
-        return (
-            this.contactSearchTerm && this.contactSearchTerm.trim().length > 0
-        );
+    renderedCallback() {
+        this._reportSelection();
+        this._scrollToTarget();
     }
 
-    get _isOpportunitySearchActive() {
-        return (
-            this.opportunitySearchTerm &&
-            this.opportunitySearchTerm.trim().length > 0
+    // A row to scroll to once its tab has rendered (see _revealRecord)
+    _scrollToTarget() {
+        if (!this._scrollTarget) return;
+        const { key, recordId } = this._scrollTarget;
+        const datatable = this.template.querySelector(
+            `c-related-records-datatable[data-key="${key}"]`,
         );
+        if (!datatable) return;
+        this._scrollTarget = undefined;
+        datatable.scrollToRow(recordId);
     }
 
-    // =============================
-    //  SERVER-SIDE SEARCH
-    //  300ms debounce → Apex LIKE query → all matching records
-    // =============================
-
-    handleContactSearch(event) {
-        const value = event.target.value;
-        this.contactSearchTerm = value;
-
-        clearTimeout(this._contactDebounceTimer);
-
-        if (!value || !value.trim()) {
-            // Cleared search — show paginated data again
-            this._searchContacts = [];
-            this._isContactSearching = false;
-            return;
-        }
-
-        // Debounce: wait 300ms after user stops typing
-        this._contactDebounceTimer = setTimeout(() => {
-            this._executeContactSearch(value.trim());
-        }, SEARCH_DEBOUNCE_MS);
+    disconnectedCallback() {
+        this._isConnected = false;
+        this._saveToCache();
+        this._clearTimers();
+        this._unsubscribeFromChanges();
+        unsubscribeFromChannel(this._commandSubscription);
+        this._commandSubscription = undefined;
+        window.removeEventListener("beforeunload", this._handleBeforeUnload);
     }
 
-    handleOpportunitySearch(event) {
-        const value = event.target.value;
-        this.opportunitySearchTerm = value;
+    _clearTimers() {
+        // Clean up debounce timers
+        Object.values(this._debounceTimers).forEach((timer) =>
+            clearTimeout(timer),
+        );
+        clearTimeout(this._undoTimer);
+        clearTimeout(this._pipelineTimer);
+        clearTimeout(this._cacheTimer);
+        Object.values(this._liveTimers).forEach((timer) => clearTimeout(timer));
+        Object.values(this._countTimers).forEach((timer) =>
+            clearTimeout(timer),
+        );
+        this._highlightTimers.forEach((timer) => clearTimeout(timer));
+        this._debounceTimers = {};
+        this._liveTimers = {};
+        this._countTimers = {};
+        this._pendingChanges = {};
+        this._highlightTimers = new Set();
+    }
 
-        clearTimeout(this._opportunityDebounceTimer);
+    // =========================================================
+    //  INITIAL LOAD + CLIENT CACHE
+    //  One getInitialData call paints every tab's label, count
+    //  and filters, and the rows of the open tab. Other tabs
+    //  load their rows when first opened. Loaded tabs are kept
+    //  per Account in tabCache.js: coming back shows them at
+    //  once while they are refreshed (stale-while-revalidate).
+    // =========================================================
 
-        if (!value || !value.trim()) {
-            this._searchOpportunities = [];
-            this._isOpportunitySearching = false;
+    /**
+     * Shows the current Account's lists: cached ones at once (then
+     * revalidated), else loaded. Also runs when the Account changes.
+     */
+    _openAccount() {
+        this._loadUrlPattern();
+        this._clearTimers();
+        this.undoNotice = undefined;
+        this.deleteConfirm = undefined;
+        this.bulkAction = undefined;
+        this.saveConflict = undefined;
+        this.unsavedPrompt = undefined;
+        this.createDialog = undefined;
+        this.viewDialog = undefined;
+        this.pipeline = undefined;
+
+        const cached = readCache(this._cacheKey());
+        if (cached) {
+            this.tabs = cached.tabs.map((tab) => ({
+                ...tab,
+                isStale: tab.isLoaded,
+            }));
+            this.activeTabKey =
+                this._initialTabKey() ||
+                (cached.activeTabKey === ACTIVITY_TAB_KEY &&
+                this.hideActivityTimeline
+                    ? cached.tabs[0]?.key
+                    : cached.activeTabKey);
+            this.activeViewId = cached.activeViewId;
+            this.includeChildAccounts = cached.includeChildAccounts;
+            this.hierarchy = cached.hierarchy;
+            this.savedViews = cached.savedViews;
+            this.isLoading = false;
+            this._restoreDrafts();
+            // Record access isn't cached: sharing may have changed meanwhile
+            this.tabs.forEach((tab) => this._loadRecordAccess(tab.key));
+            this._revalidate();
             return;
         }
 
-        this._opportunityDebounceTimer = setTimeout(() => {
-            this._executeOpportunitySearch(value.trim());
-        }, SEARCH_DEBOUNCE_MS);
+        this.tabs = parseRelatedLists(this.relatedLists).map((config) =>
+            this._createTab(config),
+        );
+        this.activeTabKey =
+            this._initialTabKey() ||
+            (this.tabs.length ? this.tabs[0].key : undefined);
+        this.activeViewId = undefined;
+        this.includeChildAccounts = false;
+        this.hierarchy = undefined;
+        this.savedViews = [];
+        this._restoreDrafts();
+        this._loadInitialData();
     }
 
-    async _executeContactSearch(term) {
-        this._isContactSearching = true;
+    async _loadInitialData() {
+        const recordId = this.recordId;
+        this.isLoading = true;
         try {
-            const result = await searchContacts({
-                accountId: this.recordId,
-                searchTerm: term,
-            });
-            // Only update if the search term hasn't changed since we started
-            if (this.contactSearchTerm.trim() === term) {
-                this._searchContacts = this._addRecordUrls(result);
+            await this._bootstrap();
+        } catch (error) {
+            // Nothing could be loaded: every tab shows why
+            this.tabs.forEach((tab) => this._updateTab(tab.key, { error }));
+        }
+        try {
+            // Reopen the selected view after a refresh, else the default view.
+            // No prompt: nothing is shown yet, and restored drafts stay
+            const view =
+                this.savedViews.find((v) => v.id === this.activeViewId) ||
+                this.savedViews.find((v) => v.isDefault);
+            if (view && recordId === this.recordId) {
+                await this._applyView(view);
             }
         } catch (error) {
-            console.error("Error searching contacts:", error);
-            this._searchContacts = [];
+            console.error("Error opening saved view:", error);
         } finally {
-            this._isContactSearching = false;
+            this.isLoading = false;
         }
+        // Channels depend on the described objects, so subscribe after loading
+        this._subscribeToChanges();
+        this._schedulePipelineRefresh();
     }
 
-    async _executeOpportunitySearch(term) {
-        this._isOpportunitySearching = true;
+    /**
+     * Refreshes cached lists behind the rows already on screen: the same
+     * getInitialData call, with the open tab's current view and as many rows
+     * as it shows. Other cached tabs refresh when they are opened.
+     */
+    async _revalidate() {
         try {
-            const result = await searchOpportunities({
-                accountId: this.recordId,
-                searchTerm: term,
-            });
-            if (this.opportunitySearchTerm.trim() === term) {
-                this._searchOpportunities = this._addRecordUrls(result);
-            }
+            await this._bootstrap();
         } catch (error) {
-            console.error("Error searching opportunities:", error);
-            this._searchOpportunities = [];
-        } finally {
-            this._isOpportunitySearching = false;
+            console.error("Error refreshing related lists:", error);
         }
+        this._subscribeToChanges();
+        this._schedulePipelineRefresh();
     }
 
-    // =============================
-    //  INFINITE LOADING (only in paginated mode, disabled during search)
-    // =============================
+    /**
+     * getInitialData for the current tabs. A failing tab (bad field set, no
+     * access) comes back with its error and doesn't blank out the others.
+     */
+    async _bootstrap() {
+        const recordId = this.recordId;
+        const data = await getInitialData({
+            accountId: recordId,
+            tabs: this.tabs.map((tab) => this._tabRequest(tab)),
+            filterFieldsByObject: FILTER_FIELDS,
+            includeChildAccounts: this.includeChildAccounts,
+        });
+        // Another Account was opened meanwhile
+        if (recordId !== this.recordId) return;
+
+        // Roll-up mode is switched off when the hierarchy no longer allows it
+        this.hierarchy = data.hierarchy;
+        this.includeChildAccounts = data.includeChildAccounts;
+        this.savedViews = data.savedViews;
+        this.tabs.forEach((tab, index) =>
+            this._applyTabData(tab.key, data.tabs[index]),
+        );
 
-    async handleContactLoadMore(event) {
-        // Don't load more during search — search shows all results
-        if (this._isContactSearchActive || this._contactsLoading) return;
-        this._contactsLoading = true;
+        const active = this._getTab(this.activeTabKey);
+        if (active && this._isSearchActive(active)) {
+            await this._executeSearch(active.key, active.searchTerm.trim());
+        }
+    }
 
-        const datatableTarget = event.target;
-        datatableTarget.isLoading = true;
+    // A tab of the getInitialData request: rows only for the open tab
+    _tabRequest(tab) {
+        const { sortBy, sortDirection, filters } = this._queryParams(tab);
+        return {
+            relationshipName: tab.relationshipName,
+            fieldSetName: tab.fieldSetName,
+            filters,
+            sortBy,
+            sortDirection,
+            pageSize:
+                tab.key === this.activeTabKey ? this._reloadSize(tab) : null,
+        };
+    }
 
-        try {
-            const result = await getRelatedContacts({
-                accountId: this.recordId,
-                pageSize: PAGE_SIZE,
-                offsetVal: this._contactOffset,
+    _applyTabData(key, data) {
+        if (data.errorMessage) {
+            this._updateTab(key, {
+                error: { body: { message: data.errorMessage } },
             });
-
-            const newRecords = this._addRecordUrls(result);
-            this._paginatedContacts = [
-                ...this._paginatedContacts,
-                ...newRecords,
-            ];
-            this._contactOffset += result.length;
-
-            if (result.length < PAGE_SIZE) {
-                this.enableContactInfiniteLoading = false;
-            }
-        } catch (error) {
-            console.error("Error loading more contacts:", error);
-            this.enableContactInfiniteLoading = false;
-        } finally {
-            datatableTarget.isLoading = false;
-            this._contactsLoading = false;
+            return;
         }
+        const { info, page } = data;
+        if (supportsBoard(info) && !this._stageRecordTypeId) {
+            this._stageRecordTypeId = info.defaultRecordTypeId;
+        }
+        this._updateTab(key, {
+            info,
+            filterFields: data.filterFields,
+            label: info.label,
+            iconName: iconFor(info),
+            columns: buildColumns(info),
+            searchPlaceholder: this._searchPlaceholder(info),
+            totalCount: data.totalCount,
+            error: undefined,
+            ...(page && {
+                records: this._addRecordUrls(page.records),
+                cursor: page.nextCursor,
+                enableInfiniteLoading: !!page.nextCursor,
+                recordAccess: {},
+                isLoaded: true,
+                isStale: false,
+            }),
+        });
     }
 
-    async handleOpportunityLoadMore(event) {
-        if (this._isOpportunitySearchActive || this._opportunitiesLoading)
-            return;
-        this._opportunitiesLoading = true;
-
-        const datatableTarget = event.target;
-        datatableTarget.isLoading = true;
+    /**
+     * Tabs load their rows the first time they are opened. Tabs restored
+     * from the cache keep showing their rows while these are refreshed.
+     */
+    async _openTab(key) {
+        const tab = this._getTab(key);
+        if (!tab?.info || tab.isLoadingRows) return;
+        if (tab.isLoaded && !tab.isStale) return;
 
+        this._updateTab(key, { isLoadingRows: !tab.isLoaded, isStale: false });
         try {
-            const result = await getRelatedOpportunities({
-                accountId: this.recordId,
-                pageSize: PAGE_SIZE,
-                offsetVal: this._opportunityOffset,
-            });
-
-            const newRecords = this._addRecordUrls(result);
-            this._paginatedOpportunities = [
-                ...this._paginatedOpportunities,
-                ...newRecords,
-            ];
-            this._opportunityOffset += result.length;
-
-            if (result.length < PAGE_SIZE) {
-                this.enableOpportunityInfiniteLoading = false;
+            if (tab.isLoaded) {
+                await Promise.all([
+                    this._reloadData(key),
+                    this._isSearchActive(tab)
+                        ? this._executeSearch(key, tab.searchTerm.trim())
+                        : undefined,
+                ]);
+            } else {
+                await this._restartTab(key);
             }
         } catch (error) {
-            console.error("Error loading more opportunities:", error);
-            this.enableOpportunityInfiniteLoading = false;
+            this._updateTab(key, { error });
         } finally {
-            datatableTarget.isLoading = false;
-            this._opportunitiesLoading = false;
+            this._updateTab(key, { isLoadingRows: false });
         }
     }
 
-    // =============================
-    //  COMPUTED PROPERTIES
-    // =============================
-
-    get accountName() {
-        return (
-            getFieldValue(this._accountRecord, ACCOUNT_NAME_FIELD) || "Account"
+    // Tabs without rows yet only keep their badge and summary card current
+    async _refreshCount(key) {
+        const count = await getRelatedRecordCount(
+            this._countParams(this._getTab(key)),
         );
+        this._updateTab(key, { totalCount: count });
     }
 
-    get accountIndustry() {
-        return (
-            getFieldValue(this._accountRecord, ACCOUNT_INDUSTRY_FIELD) || "—"
-        );
+    _cacheKey() {
+        return cacheKey(this.recordId, this.relatedLists);
     }
 
-    get accountPhone() {
-        return getFieldValue(this._accountRecord, ACCOUNT_PHONE_FIELD) || "—";
+    _saveToCache() {
+        clearTimeout(this._cacheTimer);
+        if (!this.recordId || !this.tabs.some((tab) => tab.isLoaded)) return;
+        writeCache(this._cacheKey(), {
+            tabs: this.tabs,
+            activeTabKey: this.activeTabKey,
+            activeViewId: this.activeViewId,
+            includeChildAccounts: this.includeChildAccounts,
+            hierarchy: this.hierarchy,
+            savedViews: this.savedViews,
+        });
     }
 
-    get accountWebsite() {
-        return getFieldValue(this._accountRecord, ACCOUNT_WEBSITE_FIELD) || "—";
+    // Record pages may stay in the background without disconnecting
+    _scheduleCacheWrite() {
+        clearTimeout(this._cacheTimer);
+        this._cacheTimer = setTimeout(() => this._saveToCache(), CACHE_WRITE_MS);
     }
 
-    get contactCount() {
-        return this.displayedContacts?.length || 0;
-    }
+    // =============================
+    //  TAB STATE HELPERS
+    // =============================
 
-    get opportunityCount() {
-        return this.displayedOpportunities?.length || 0;
+    _createTab({ relationshipName, fieldSetName }) {
+        return {
+            key: relationshipName.toLowerCase(),
+            relationshipName,
+            fieldSetName,
+            info: undefined,
+            label: relationshipName,
+            iconName: "standard:default",
+            columns: [],
+            searchPlaceholder: "Search...",
+            // paginated data (normal browsing mode)
+            records: [],
+            cursor: null, // opaque keyset cursor of the next page
+            enableInfiniteLoading: true,
+            isLoadingMore: false,
+            isLoaded: false, // rows loaded (tabs load when first opened)
+            isLoadingRows: false, // first rows of the tab being loaded
+            isStale: false, // rows from the client cache, not refreshed yet
+            // search results (search mode), paged by offset over the matches
+            searchTerm: "",
+            searchedTerm: "", // term of the loaded searchResults
+            searchResults: [],
+            searchOffset: null, // offset of the next page of matches
+            searchMatchCount: 0,
+            isSearchCountCapped: false, // more matches than Apex counts
+            isSearching: false,
+            // filter panel: applied values and the values being edited
+            filterFields: [],
+            filterValues: {},
+            filterDraft: {},
+            isFilterPanelOpen: false,
+            hiddenColumns: [], // fieldNames hidden with the column chooser
+            displayMode: DISPLAY_MODES.TABLE, // datatable or Kanban board
+            boardSavingIds: [], // cards whose stage change is being saved
+            expandedIds: [], // rows with their details open (Opportunities)
+            totalCount: 0,
+            draftValues: [], // also rows not shown (unsavedDrafts.js)
+            draftBases: {}, // Id → the row as it was when first edited
+            saveErrors: undefined, // datatable errors of the last save
+            selectedIds: [],
+            // recordId → {canEdit, canDelete} from sharing, null while loading
+            recordAccess: {},
+            // export progress
+            isExporting: false,
+            exportedCount: 0,
+            sortBy: undefined,
+            sortDirection: undefined,
+            error: undefined,
+        };
     }
 
-    get hasContacts() {
-        return this.displayedContacts && this.displayedContacts.length > 0;
+    _getTab(key) {
+        return this.tabs.find((tab) => tab.key === key);
     }
 
-    get hasOpportunities() {
-        return (
-            this.displayedOpportunities &&
-            this.displayedOpportunities.length > 0
+    _updateTab(key, changes) {
+        this.tabs = this.tabs.map((tab) =>
+            tab.key === key ? { ...tab, ...changes } : tab,
         );
+        // Rows can only be edited or deleted once their access is known
+        if (changes.records || changes.searchResults) {
+            this._loadRecordAccess(key);
+            this._scheduleCacheWrite();
+        }
+        if (changes.draftValues) {
+            this._storeDrafts(key);
+        }
     }
 
-    get showContactEmptyState() {
-        return (
-            !this.hasContacts &&
-            !this.hasContactError &&
-            !this._isContactSearching
-        );
+    /**
+     * Loads the record access of rows that don't have it yet. Marking them
+     * as loading first keeps overlapping row updates from asking twice.
+     */
+    async _loadRecordAccess(key) {
+        const tab = this._getTab(key);
+        const recordIds = idsWithoutAccess(
+            [...tab.records, ...tab.searchResults],
+            tab.recordAccess,
+        ).slice(0, ACCESS_BATCH_SIZE);
+        if (!recordIds.length) return;
+
+        this._updateTab(key, {
+            recordAccess: withPendingAccess(tab.recordAccess, recordIds),
+        });
+        try {
+            const results = await getRecordAccess({ recordIds });
+            const current = this._getTab(key);
+            this._updateTab(key, {
+                recordAccess: withLoadedAccess(current.recordAccess, results),
+            });
+            // More rows than one call checks (e.g. a long reload)
+            this._loadRecordAccess(key);
+        } catch (error) {
+            // The rows stay read-only
+            console.error(
+                `Error loading record access for ${tab.label}:`,
+                error,
+            );
+        }
     }
 
-    get showOpportunityEmptyState() {
-        return (
-            !this.hasOpportunities &&
-            !this.hasOpportunityError &&
-            !this._isOpportunitySearching
+    // Is a search active? (a term long enough to search for)
+    _isSearchActive(tab) {
+        return !!(
+            tab.searchTerm && tab.searchTerm.trim().length >= MIN_SEARCH_LENGTH
         );
     }
 
-    get isContactsTab() {
-        return this.activeTab === "contacts";
-    }
-
-    get isOpportunitiesTab() {
-        return this.activeTab === "opportunities";
-    }
-
-    get contactTabClass() {
-        return `tab-button ${this.isContactsTab ? "active" : ""}`;
+    // Conditions of the applied filter panel values, or null for Apex
+    _filterParam(tab) {
+        const conditions = toConditions(tab.filterFields, tab.filterValues);
+        return conditions.length ? conditions : null;
     }
 
-    get opportunityTabClass() {
-        return `tab-button ${this.isOpportunitiesTab ? "active" : ""}`;
+    // The datatable dispatches its events from the element carrying data-key
+    _tabKeyFrom(event) {
+        return event.target.dataset.key;
     }
 
-    get contactBadge() {
-        return `${this.totalContactCount}`;
-    }
-
-    get opportunityBadge() {
-        return `${this.totalOpportunityCount}`;
-    }
+    // =============================
+    //  COMPUTED: Which data to show
+    //  Search mode → search results
+    //  Normal mode → paginated data
+    // =============================
 
-    get hasContactError() {
-        return !!this.contactError;
+    /**
+     * View models for the template. The datatable shows either search
+     * results OR paginated data, never both.
+     */
+    get tabViews() {
+        return this.tabs.map((tab) => {
+            const isSearchActive = this._isSearchActive(tab);
+            const rows = withRecordAccess(
+                isSearchActive ? tab.searchResults : tab.records,
+                tab.recordAccess,
+                tab.info,
+            );
+            const hasRows = rows.length > 0;
+            const filterCount = activeFilterCount(
+                toConditions(tab.filterFields, tab.filterValues),
+            );
+            const canShowBoard = supportsBoard(tab.info);
+            const isBoardMode =
+                canShowBoard && tab.displayMode === DISPLAY_MODES.BOARD;
+            const infiniteLoadingEnabled = isSearchActive
+                ? tab.searchOffset !== null
+                : tab.enableInfiniteLoading;
+            const canExpandRows = supportsRowDetails(tab.info);
+            const tableRows = withControllerValues(
+                rows,
+                tab.info?.columns || [],
+                tab.draftValues,
+            );
+            const columns = withHighlightedMatches(
+                visibleColumns(this._tabColumns(tab), tab.hiddenColumns),
+                isSearchActive ? tab.searchedTerm : "",
+            );
+            const expandedRows = canExpandRows
+                ? expandedRowViews(rows, tab.expandedIds, tab.info)
+                : [];
+            const bulkActions = this._bulkActionsOf(tab.info);
+            const drafts = splitDrafts(
+                tab.draftValues,
+                isSearchActive ? tab.searchResults : tab.records,
+            );
+            return {
+                ...tab,
+                isActive: tab.key === this.activeTabKey,
+                tabClass: `tab-button ${tab.key === this.activeTabKey ? "active" : ""}`,
+                cardIconClass: `card-icon-wrapper ${tab.key}-icon`,
+                labelLower: tab.label.toLowerCase(),
+                rows,
+                tableRows: canExpandRows
+                    ? withExpandedState(tableRows, tab.expandedIds)
+                    : tableRows,
+                rowCount: rows.length,
+                totalCountLabel: formatCount(tab.totalCount),
+                resultCountLabel: this._resultCountLabel(
+                    tab,
+                    rows.length,
+                    isSearchActive,
+                ),
+                hasRows,
+                isSearchActive,
+                hasFilters: tab.filterFields.length > 0,
+                isFilterActive: filterCount > 0,
+                filterCount,
+                filterControls: buildFilterControls(
+                    tab.filterFields,
+                    tab.filterDraft,
+                ),
+                // Matched words highlighted once the results of the term are in
+                visibleColumns: canExpandRows
+                    ? withExpandColumn(columns, tab.info)
+                    : columns,
+                expandedRows,
+                hasExpandedRows: expandedRows.length > 0,
+                columnChoices: columnChoices(
+                    this._tabColumns(tab),
+                    tab.hiddenColumns,
+                ),
+                hasError: !!tab.error,
+                errorMessage:
+                    tab.error?.body?.message ||
+                    `Unknown error loading ${tab.label.toLowerCase()}`,
+                showEmptyState:
+                    !hasRows && tab.isLoaded && !tab.error && !tab.isSearching,
+                // Next page of the rows or, while searching, of the matches
+                infiniteLoadingEnabled,
+                canShowBoard,
+                isBoardMode,
+                boardColumns: isBoardMode
+                    ? buildBoardColumns(this.stageOptions, rows, {
+                          dropStage: this.boardDropStage,
+                          savingIds: tab.boardSavingIds,
+                          conversionRates: this.currencyInfo?.conversionRates,
+                          stageEditable: canMoveCards(tab.info),
+                      })
+                    : [],
+                showBoardLoadMore: isBoardMode && infiniteLoadingEnabled,
+                exportDisabled: tab.isExporting || !tab.info,
+                selectedCount: tab.selectedIds.length,
+                ...bulkActions,
+                showBulkActionBar:
+                    bulkActions.showBulkActions && tab.selectedIds.length > 0,
+                linkTarget: this._linkTarget,
+                // The datatable saves and cancels the drafts it shows
+                visibleDraftValues: drafts.visible,
+                hasHiddenDrafts: tab.isLoaded && drafts.hidden.length > 0,
+                hiddenDraftsLabel: hiddenDraftsLabel(drafts.hidden.length),
+                canCreate: !!tab.info?.createable,
+            };
+        });
+    }
+
+    // "Showing 50 of 120 contacts", or "200 of 1,340 matches" while searching
+    _resultCountLabel(tab, rowCount, isSearchActive) {
+        if (isSearchActive) {
+            const cap = tab.isSearchCountCapped ? "+" : "";
+            return `${formatCount(rowCount)} of ${formatCount(tab.searchMatchCount)}${cap} matches`;
+        }
+        return `Showing ${formatCount(rowCount)} of ${formatCount(tab.totalCount)} ${tab.label.toLowerCase()}`;
+    }
+
+    // Bulk actions the user's object and field permissions allow, and the
+    // checkbox column the selection mode calls for
+    _bulkActionsOf(info) {
+        const canMassUpdate = !!info?.columns.some(
+            (column) => column.updateable,
+        );
+        const canChangeOwner = !!info?.hasOwner;
+        const canBulkDelete = !!info?.deletable;
+        return {
+            canMassUpdate,
+            canChangeOwner,
+            canBulkDelete,
+            ...selectionSettings(
+                this.selectionMode,
+                this.maxSelections,
+                canMassUpdate || canChangeOwner || canBulkDelete,
+            ),
+        };
+    }
+
+    // =============================
+    //  SERVER-SIDE SEARCH
+    //  300ms debounce → Apex SOSL → pages of matches, by relevance
+    // =============================
+
+    handleSearch(event) {
+        const key = this._tabKeyFrom(event);
+        const value = event.target.value;
+        // The visible rows change, so the selection no longer applies
+        this._updateTab(key, { searchTerm: value, selectedIds: [] });
+        this._schedulePipelineRefresh(key);
+
+        clearTimeout(this._debounceTimers[key]);
+
+        if (!this._isSearchActive(this._getTab(key))) {
+            // Cleared (or too short) search — show paginated data again
+            this._updateTab(key, {
+                searchResults: [],
+                searchedTerm: "",
+                searchOffset: null,
+                isSearching: false,
+            });
+            return;
+        }
+
+        // Debounce: wait 300ms after user stops typing
+        this._debounceTimers[key] = setTimeout(() => {
+            this._executeSearch(key, value.trim());
+        }, SEARCH_DEBOUNCE_MS);
+    }
+
+    /**
+     * Runs the search from the first match. Re-running the same term (after a
+     * save or delete) reloads as many matches as were loaded, like _reloadData.
+     */
+    async _executeSearch(key, term) {
+        const tab = this._getTab(key);
+        const loadedCount =
+            tab.searchedTerm === term ? tab.searchResults.length : 0;
+        this._updateTab(key, { isSearching: true });
+        try {
+            const page = await searchRelatedRecords({
+                ...this._queryParams(tab),
+                searchTerm: term,
+                pageSize: Math.min(
+                    Math.max(loadedCount, PAGE_SIZE),
+                    MAX_RELOAD_SIZE,
+                ),
+                offset: 0,
+            });
+            // Only update if the search term hasn't changed since we started
+            if (this._getTab(key).searchTerm.trim() === term) {
+                this._updateTab(key, {
+                    ...this._searchPageState(page),
+                    searchResults: this._addRecordUrls(page.records),
+                    searchedTerm: term,
+                });
+            }
+        } catch (error) {
+            console.error(`Error searching ${tab.label}:`, error);
+            this._updateTab(key, {
+                searchResults: [],
+                searchedTerm: "",
+                searchOffset: null,
+                searchMatchCount: 0,
+            });
+        } finally {
+            this._updateTab(key, { isSearching: false });
+        }
+    }
+
+    // =============================
+    //  FILTER PANEL
+    //  Edits a draft; Apply sends the conditions to Apex, which
+    //  binds them into the page, count, search and export queries
+    // =============================
+
+    handleFilterToggle(event) {
+        const key = this._tabKeyFrom(event);
+        const tab = this._getTab(key);
+        this._updateTab(key, {
+            isFilterPanelOpen: !tab.isFilterPanelOpen,
+            filterDraft: { ...tab.filterValues },
+        });
+    }
+
+    handleFilterChange(event) {
+        const key = this._tabKeyFrom(event);
+        const { field, part } = event.target.dataset;
+        const value = event.detail.value;
+        const draft = this._getTab(key).filterDraft;
+        this._updateTab(key, {
+            filterDraft: {
+                ...draft,
+                // Range controls edit one end ("from" / "to") of the range
+                [field]: part ? { ...draft[field], [part]: value } : value,
+            },
+        });
+    }
+
+    handleDatePreset(event) {
+        const key = this._tabKeyFrom(event);
+        const field = event.target.dataset.field;
+        const draft = this._getTab(key).filterDraft;
+        this._updateTab(key, {
+            filterDraft: {
+                ...draft,
+                [field]: datePresetRange(event.detail.value),
+            },
+        });
+    }
+
+    handleFilterApply(event) {
+        const key = this._tabKeyFrom(event);
+        this._applyFilters(key, { ...this._getTab(key).filterDraft });
+    }
+
+    handleFilterClear(event) {
+        this._applyFilters(this._tabKeyFrom(event), {});
+    }
+
+    async _applyFilters(key, filterValues) {
+        // The visible rows change, so the selection no longer applies
+        this._updateTab(key, {
+            filterValues,
+            filterDraft: filterValues,
+            isFilterPanelOpen: false,
+            selectedIds: [],
+        });
+
+        const tab = this._getTab(key);
+        this.isLoading = true;
+        try {
+            await this._restartTab(key);
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Filter Failed",
+                    message:
+                        error.body?.message || `Could not filter ${tab.label}`,
+                    variant: "error",
+                }),
+            );
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Reloads a tab from its first page after its query changed (filters,
+     * saved view): page, count and — when a search is active — the search.
+     */
+    async _restartTab(key) {
+        const tab = this._getTab(key);
+        const requests = [
+            getRelatedRecords({
+                ...this._queryParams(tab),
+                pageSize: PAGE_SIZE,
+                cursor: null,
+            }),
+            getRelatedRecordCount(this._countParams(tab)),
+        ];
+        if (this._isSearchActive(tab)) {
+            requests.push(this._executeSearch(key, tab.searchTerm.trim()));
+        }
+        const [page, count] = await Promise.all(requests);
+
+        this._updateTab(key, {
+            records: this._addRecordUrls(page.records),
+            totalCount: count,
+            cursor: page.nextCursor,
+            enableInfiniteLoading: !!page.nextCursor,
+            isLoaded: true,
+            isStale: false,
+        });
+        this._schedulePipelineRefresh(key);
+    }
+
+    // =============================
+    //  COLUMN CHOOSER
+    // =============================
+
+    handleColumnToggle(event) {
+        const key = this._tabKeyFrom(event);
+        const fieldName = event.detail.value;
+        const hidden = this._getTab(key).hiddenColumns;
+        this._updateTab(key, {
+            hiddenColumns: hidden.includes(fieldName)
+                ? hidden.filter((name) => name !== fieldName)
+                : [...hidden, fieldName],
+        });
+    }
+
+    // =========================================================
+    //  NEW RECORD (record type → page-layout form → insert in place)
+    // =========================================================
+
+    handleNewRecord(event) {
+        const key = this._tabKeyFrom(event);
+        const info = this._getTab(key).info;
+        const choice = recordTypeChoice(info);
+        this.createDialog = {
+            key,
+            objectApiName: info.objectApiName,
+            parentField: info.parentField,
+            labelSingular: info.labelSingular,
+            title: `New ${info.labelSingular}`,
+            recordTypeOptions: choice.options,
+            recordTypeId: choice.value || info.defaultRecordTypeId,
+        };
+        // Pick a record type first only when there is a choice to make
+        if (choice.options.length > 1) {
+            this.createDialog = { ...this.createDialog, isRecordTypeStep: true };
+        } else {
+            this._showCreateForm();
+        }
+    }
+
+    handleRecordTypeChange(event) {
+        this.createDialog = {
+            ...this.createDialog,
+            recordTypeId: event.detail.value,
+        };
+    }
+
+    handleRecordTypeNext() {
+        this._showCreateForm();
+    }
+
+    _showCreateForm() {
+        this.createDialog = {
+            ...this.createDialog,
+            isRecordTypeStep: false,
+            isForm: true,
+            isLoadingLayout: true,
+            sections: [],
+        };
+        // Setting the wire params loads the layout (wiredCreateDefaults)
+        this._createObjectApiName = this.createDialog.objectApiName;
+        this._createRecordTypeId = this.createDialog.recordTypeId;
+    }
+
+    handleCreateSubmit(event) {
+        event.preventDefault();
+        // The parent lookup is set even when the layout doesn't show it
+        const fields = {
+            ...event.detail.fields,
+            [this.createDialog.parentField]: this.recordId,
+        };
+        this.createDialog = { ...this.createDialog, isSaving: true };
+        event.target.submit(fields);
+    }
+
+    handleCreateError() {
+        // lightning-messages inside the form shows the server errors
+        this.createDialog = { ...this.createDialog, isSaving: false };
+    }
+
+    async handleCreateSuccess(event) {
+        const { key, labelSingular } = this.createDialog;
+        const recordId = event.detail.id;
+        this._closeCreateDialog();
+        this._publishRecordEvent(key, RECORD_EVENTS.CREATE, [recordId]);
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: "Record Created",
+                message: `${labelSingular} was created`,
+                variant: "success",
+            }),
+        );
+        try {
+            await this._insertCreatedRecord(key, recordId);
+        } catch (error) {
+            console.error("Error placing the new record:", error);
+            await this._reloadData(key);
+        }
+    }
+
+    handleCreateCancel() {
+        this._closeCreateDialog();
+    }
+
+    _closeCreateDialog() {
+        this.createDialog = undefined;
+        this._createObjectApiName = undefined;
+        this._createRecordTypeId = undefined;
+    }
+
+    /**
+     * Puts a new record where the current sort would show it, without
+     * reloading the tab. Apex returns its position among all matching rows:
+     * inside the loaded rows it is inserted; past them it arrives with a
+     * later page, unless the list is fully loaded.
+     */
+    async _insertCreatedRecord(key, recordId) {
+        const tab = this._getTab(key);
+        const placement = await locateRelatedRecord({
+            ...this._queryParams(tab),
+            recordId,
+        });
+        // Outside the active filters — nothing to show
+        if (!placement.record) return;
+        this._schedulePipelineRefresh(key);
+
+        const current = this._getTab(key);
+        // A live update may have added the row already (on top)
+        const others = current.records.filter((row) => row.Id !== recordId);
+        const isNew = others.length === current.records.length;
+        const totalCount = isNew ? current.totalCount + 1 : current.totalCount;
+        if (placement.position >= others.length && current.cursor) {
+            this._updateTab(key, { records: others, totalCount });
+            return;
+        }
+
+        const [row] = this._addRecordUrls([placement.record]);
+        const records = [...others];
+        records.splice(Math.min(placement.position, others.length), 0, {
+            ...row,
+            [ROW_CLASS_FIELD]: HIGHLIGHT_CLASS,
+        });
+        this._updateTab(key, { records, totalCount });
+        this._clearHighlightLater(key, [recordId]);
+    }
+
+    // =========================================================
+    //  SAVED VIEWS
+    //  A view = one tab's sort, search, filters and hidden
+    //  columns, stored per user in Apex. The default view opens
+    //  on load; views can be shared with the user's team.
+    // =========================================================
+
+    async _loadSavedViews() {
+        try {
+            this.savedViews = await getSavedViews();
+        } catch (error) {
+            // Views are a convenience — the lists work without them
+            console.error("Error loading saved views:", error);
+            this.savedViews = [];
+        }
+    }
+
+    get activeView() {
+        return this.savedViews.find((view) => view.id === this.activeViewId);
+    }
+
+    get viewMenuLabel() {
+        return this.activeView ? this.activeView.name : "Views";
+    }
+
+    get viewMenuItems() {
+        return this.savedViews.map((view) => ({
+            key: view.id,
+            label: viewLabel(view),
+            value: view.id,
+            checked: view.id === this.activeViewId,
+            iconName: view.isShared ? "utility:groups" : undefined,
+        }));
+    }
+
+    get isStandardView() {
+        return !this.activeView;
+    }
+
+    get canUpdateView() {
+        return !!this.activeView?.isOwner;
+    }
+
+    get canSetDefaultView() {
+        return !!this.activeView && !this.activeView.isDefault;
+    }
+
+    get hasDefaultView() {
+        return this.savedViews.some((view) => view.isDefault);
+    }
+
+    /**
+     * Puts a view's state on its tab and reloads that tab.
+     * @returns {boolean} false when the view's tab isn't on this page
+     */
+    async _applyView(view) {
+        const key = view.relationshipName.toLowerCase();
+        if (!this._getTab(key)) return false;
+
+        const settings = parseViewSettings(view.settings);
+        clearTimeout(this._debounceTimers[key]);
+        this._updateTab(key, {
+            ...settings,
+            filterDraft: settings.filterValues,
+            isFilterPanelOpen: false,
+            searchResults: [],
+            searchOffset: null,
+            selectedIds: [],
+        });
+        this.activeTabKey = key;
+        this.activeViewId = view.id;
+        await this._restartTab(key);
+        return true;
+    }
+
+    async handleViewMenuSelect(event) {
+        const value = event.detail.value;
+        switch (value) {
+            case VIEW_ACTIONS.SAVE_NEW:
+                this._openViewDialog(undefined);
+                break;
+            case VIEW_ACTIONS.SAVE_CURRENT:
+                this._openViewDialog(this.activeView);
+                break;
+            case VIEW_ACTIONS.SET_DEFAULT:
+                await this._changeDefaultView(this.activeViewId);
+                break;
+            case VIEW_ACTIONS.CLEAR_DEFAULT:
+                await this._changeDefaultView(null);
+                break;
+            case VIEW_ACTIONS.DELETE:
+                await this._deleteActiveView();
+                break;
+            case VIEW_ACTIONS.STANDARD:
+                await this._openStandardView();
+                break;
+            default:
+                await this._openView(value);
+        }
+    }
+
+    async _openView(viewId) {
+        const view = this.savedViews.find((v) => v.id === viewId);
+        if (!view) return;
+        const key = view.relationshipName.toLowerCase();
+        const prompt = this._leavePrompt(key, [this._getTab(key)]);
+        if (prompt) {
+            this.unsavedPrompt = {
+                ...prompt,
+                action: UNSAVED_PROMPT_ACTIONS.OPEN_VIEW,
+                viewId,
+                confirmLabel: "Open View",
+            };
+            return;
+        }
+        await this._showView(view);
+    }
+
+    async _showView(view) {
+        this.isLoading = true;
+        try {
+            if (!(await this._applyView(view))) {
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: "View Not Available",
+                        message: `"${view.name}" shows ${view.relationshipName}, which isn't on this page.`,
+                        variant: "warning",
+                    }),
+                );
+            }
+        } catch (error) {
+            this._showViewError("Could Not Open View", error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Back to the unsaved standard layout of the active tab
+    async _openStandardView() {
+        const key = this.activeTabKey;
+        const prompt = this._leavePrompt(key, [this._getTab(key)]);
+        if (prompt) {
+            this.unsavedPrompt = {
+                ...prompt,
+                action: UNSAVED_PROMPT_ACTIONS.STANDARD_VIEW,
+                confirmLabel: "Open View",
+            };
+            return;
+        }
+        await this._showStandardView(key);
+    }
+
+    async _showStandardView(key) {
+        this.activeViewId = undefined;
+        this._updateTab(key, {
+            ...parseViewSettings("{}"),
+            filterDraft: {},
+            isFilterPanelOpen: false,
+            searchResults: [],
+            searchOffset: null,
+            selectedIds: [],
+        });
+        this.isLoading = true;
+        try {
+            await this._restartTab(key);
+        } catch (error) {
+            this._showViewError("Could Not Open View", error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    _openViewDialog(view) {
+        this.viewDialog = {
+            viewId: view?.id || null,
+            name: view?.name || "",
+            isShared: !!view?.isShared,
+            makeDefault: !!view?.isDefault,
+            title: view ? `Update "${view.name}"` : "Save View",
+        };
+    }
+
+    handleViewDialogChange(event) {
+        const field = event.target.dataset.field;
+        const value =
+            event.target.type === "checkbox"
+                ? event.target.checked
+                : event.target.value;
+        this.viewDialog = { ...this.viewDialog, [field]: value };
+    }
+
+    handleViewDialogCancel() {
+        this.viewDialog = undefined;
+    }
+
+    get viewDialogSaveDisabled() {
+        return !this.viewDialog?.name?.trim() || this.viewDialog.isSaving;
+    }
+
+    async handleViewDialogSave() {
+        const dialog = this.viewDialog;
+        const tab = this._getTab(this.activeTabKey);
+        this.viewDialog = { ...dialog, isSaving: true };
+        try {
+            const saved = await saveView({
+                viewId: dialog.viewId,
+                name: dialog.name.trim(),
+                relationshipName: tab.relationshipName,
+                settings: viewSettingsOf(tab),
+                isShared: dialog.isShared,
+            });
+            if (dialog.makeDefault !== saved.isDefault) {
+                await setDefaultView({
+                    viewId: dialog.makeDefault ? saved.id : null,
+                });
+            }
+            this.activeViewId = saved.id;
+            this.viewDialog = undefined;
+            await this._loadSavedViews();
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "View Saved",
+                    message: `"${saved.name}" was saved`,
+                    variant: "success",
+                }),
+            );
+        } catch (error) {
+            this.viewDialog = { ...dialog, isSaving: false };
+            this._showViewError("Could Not Save View", error);
+        }
+    }
+
+    async _changeDefaultView(viewId) {
+        try {
+            await setDefaultView({ viewId });
+            await this._loadSavedViews();
+        } catch (error) {
+            this._showViewError("Could Not Change Default View", error);
+        }
+    }
+
+    async _deleteActiveView() {
+        const view = this.activeView;
+        if (!view) return;
+        try {
+            await deleteSavedView({ viewId: view.id });
+            this.activeViewId = undefined;
+            await this._loadSavedViews();
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "View Deleted",
+                    message: `"${view.name}" was deleted`,
+                    variant: "success",
+                }),
+            );
+        } catch (error) {
+            this._showViewError("Could Not Delete View", error);
+        }
+    }
+
+    _showViewError(title, error) {
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title,
+                message: error.body?.message || "An unexpected error occurred",
+                variant: "error",
+            }),
+        );
+    }
+
+    // =========================================================
+    //  ACCOUNT HIERARCHY ROLL-UP
+    //  "Include child accounts" re-runs every tab's query across
+    //  the Account and all Accounts below it (Account.ParentId).
+    // =========================================================
+
+    get showHierarchyToggle() {
+        return (
+            !!this.hierarchy &&
+            (this.hierarchy.childAccountCount > 0 || this.hierarchy.isTooLarge)
+        );
+    }
+
+    get hierarchyToggleDisabled() {
+        return this.hierarchy.isTooLarge || this.isLoading;
+    }
+
+    get hierarchySummary() {
+        if (this.hierarchy.isTooLarge) {
+            return this.hierarchy.message;
+        }
+        const count = this.hierarchy.childAccountCount;
+        return `${count} child ${count === 1 ? "account" : "accounts"}`;
+    }
+
+    async handleChildAccountsToggle(event) {
+        const includeChildAccounts = event.target.checked;
+        this.includeChildAccounts = includeChildAccounts;
+        this.isLoading = true;
+        try {
+            await this._restartLoadedTabs();
+        } catch (error) {
+            // Back to the previous rows, so list and toggle agree again
+            this.includeChildAccounts = !includeChildAccounts;
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Could Not Include Child Accounts",
+                    message:
+                        error.body?.message || "An unexpected error occurred",
+                    variant: "error",
+                }),
+            );
+            await this._restartLoadedTabs().catch((reloadError) =>
+                console.error("Error reloading tabs:", reloadError),
+            );
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    _restartLoadedTabs() {
+        const described = this.tabs.filter((tab) => tab.info);
+        // The visible rows change, so the selection no longer applies
+        described.forEach((tab) =>
+            this._updateTab(tab.key, { selectedIds: [] }),
+        );
+        return Promise.all(
+            described.map((tab) =>
+                tab.isLoaded
+                    ? this._restartTab(tab.key)
+                    : this._refreshCount(tab.key),
+            ),
+        );
+    }
+
+    // =========================================================
+    //  OPPORTUNITY PIPELINE
+    //  Aggregates of the first Opportunity tab (Apex GROUP BY),
+    //  following its search and filters. Every change to that
+    //  tab's rows schedules one refresh.
+    // =========================================================
+
+    _pipelineTab() {
+        return this.tabs.find(
+            (tab) => tab.info?.objectApiName === "Opportunity",
+        );
+    }
+
+    get pipelineView() {
+        const tab = this._pipelineTab();
+        if (!tab || !this.pipeline) return undefined;
+        return {
+            ...buildPipelineView(this.pipeline),
+            title: `${tab.label} Pipeline`,
+            isNarrowed:
+                this._isSearchActive(tab) || !!this._filterParam(tab),
+        };
+    }
+
+    // key: the tab whose rows changed; omitted to refresh unconditionally
+    _schedulePipelineRefresh(key) {
+        const tab = this._pipelineTab();
+        if (!tab || (key && key !== tab.key)) return;
+        clearTimeout(this._pipelineTimer);
+        this._pipelineTimer = setTimeout(
+            () => this._loadPipeline(),
+            PIPELINE_REFRESH_MS,
+        );
+    }
+
+    async _loadPipeline() {
+        const tab = this._pipelineTab();
+        if (!tab) return;
+        const request = ++this._pipelineRequest;
+        try {
+            const summary = await getOpportunityPipeline({
+                accountId: this.recordId,
+                relationshipName: tab.relationshipName,
+                searchTerm: this._isSearchActive(tab)
+                    ? tab.searchTerm.trim()
+                    : null,
+                filters: this._filterParam(tab),
+                includeChildAccounts: this.includeChildAccounts,
+            });
+            if (request === this._pipelineRequest) {
+                this.pipeline = summary;
+            }
+        } catch (error) {
+            console.error("Error loading pipeline:", error);
+        }
+    }
+
+    // =============================
+    //  INFINITE LOADING (next cursor page, or next page of matches)
+    // =============================
+
+    async handleLoadMore(event) {
+        const datatableTarget = event.target;
+        datatableTarget.isLoading = true;
+        try {
+            await this._loadMore(this._tabKeyFrom(event));
+        } finally {
+            datatableTarget.isLoading = false;
+        }
+    }
+
+    // The board has no scroll container, so it loads the next page on click
+    handleBoardLoadMore(event) {
+        this._loadMore(this._tabKeyFrom(event));
+    }
+
+    async _loadMore(key) {
+        const tab = this._getTab(key);
+        if (tab.isLoadingMore) return;
+        if (this._isSearchActive(tab)) {
+            await this._loadMoreMatches(key);
+            return;
+        }
+        this._updateTab(key, { isLoadingMore: true });
+
+        try {
+            const page = await getRelatedRecords({
+                ...this._queryParams(tab),
+                pageSize: PAGE_SIZE,
+                cursor: tab.cursor,
+            });
+
+            const current = this._getTab(key);
+            // A sort or reload restarted pagination meanwhile — drop this page
+            if (current.cursor !== tab.cursor) return;
+            // Rows added by live updates may show up again in their sorted position
+            const loadedIds = new Set(current.records.map((row) => row.Id));
+            this._updateTab(key, {
+                records: [
+                    ...current.records,
+                    ...this._addRecordUrls(
+                        page.records.filter((record) => !loadedIds.has(record.Id)),
+                    ),
+                ],
+                cursor: page.nextCursor,
+                enableInfiniteLoading: !!page.nextCursor,
+            });
+        } catch (error) {
+            console.error(`Error loading more ${tab.label}:`, error);
+            this._updateTab(key, { enableInfiniteLoading: false });
+        } finally {
+            this._updateTab(key, { isLoadingMore: false });
+        }
+    }
+
+    async _loadMoreMatches(key) {
+        const tab = this._getTab(key);
+        if (tab.searchOffset === null || tab.isSearching) return;
+        this._updateTab(key, { isLoadingMore: true });
+
+        try {
+            const page = await searchRelatedRecords({
+                ...this._queryParams(tab),
+                searchTerm: tab.searchedTerm,
+                pageSize: PAGE_SIZE,
+                offset: tab.searchOffset,
+            });
+
+            const current = this._getTab(key);
+            // A new term or a re-run search replaced the matches meanwhile
+            if (
+                current.searchedTerm !== tab.searchedTerm ||
+                current.searchOffset !== tab.searchOffset
+            ) {
+                return;
+            }
+            const loadedIds = new Set(current.searchResults.map((row) => row.Id));
+            this._updateTab(key, {
+                ...this._searchPageState(page),
+                searchResults: [
+                    ...current.searchResults,
+                    ...this._addRecordUrls(
+                        page.records.filter((record) => !loadedIds.has(record.Id)),
+                    ),
+                ],
+            });
+        } catch (error) {
+            console.error(`Error loading more ${tab.label}:`, error);
+            this._updateTab(key, { searchOffset: null });
+        } finally {
+            this._updateTab(key, { isLoadingMore: false });
+        }
+    }
+
+    // =========================================================
+    //  KANBAN BOARD (Opportunities by stage)
+    //  Renders the tab's rows, so table and board stay in sync.
+    //  A drop moves the card at once, saves the stage through
+    //  LDS updateRecord and moves it back if the save fails.
+    // =========================================================
+
+    handleDisplayModeToggle(event) {
+        const key = this._tabKeyFrom(event);
+        const tab = this._getTab(key);
+        this._updateTab(key, {
+            displayMode:
+                tab.displayMode === DISPLAY_MODES.BOARD
+                    ? DISPLAY_MODES.TABLE
+                    : DISPLAY_MODES.BOARD,
+            // The board has no row selection
+            selectedIds: [],
+        });
+    }
+
+    handleCardDragStart(event) {
+        const { key, id } = event.currentTarget.dataset;
+        this._dragCard = { key, recordId: id };
+        event.dataTransfer.setData("text/plain", id);
+        event.dataTransfer.effectAllowed = "move";
+    }
+
+    handleCardDragEnd() {
+        this._dragCard = undefined;
+        this.boardDropStage = undefined;
+    }
+
+    handleColumnDragOver(event) {
+        if (!this._dragCard) return;
+        // Allows the drop
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "move";
+        const stage = event.currentTarget.dataset.stage;
+        if (this.boardDropStage !== stage) {
+            this.boardDropStage = stage;
+        }
+    }
+
+    handleColumnDragLeave(event) {
+        // dragleave also fires when entering a card inside the column
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            this.boardDropStage = undefined;
+        }
+    }
+
+    handleCardDrop(event) {
+        event.preventDefault();
+        const drag = this._dragCard;
+        const stage = event.currentTarget.dataset.stage;
+        this.handleCardDragEnd();
+        if (drag) {
+            this._moveCard(drag.key, drag.recordId, stage);
+        }
+    }
+
+    async _moveCard(key, recordId, stage) {
+        const tab = this._getTab(key);
+        const row = [...tab.records, ...tab.searchResults].find(
+            (r) => r.Id === recordId,
+        );
+        if (!row || row.StageName === stage) return;
+        const previousStage = row.StageName;
+
+        this._setCardStage(key, recordId, stage);
+        this._updateTab(key, {
+            boardSavingIds: [...tab.boardSavingIds, recordId],
+        });
+        try {
+            await updateRecord({ fields: { Id: recordId, StageName: stage } });
+        } catch (error) {
+            this._setCardStage(key, recordId, previousStage);
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: `Could Not Move ${row.Name}`,
+                    message: parseSaveError(error).messages.join(" "),
+                    variant: "error",
+                }),
+            );
+            return;
+        } finally {
+            this._updateTab(key, {
+                boardSavingIds: this._getTab(key).boardSavingIds.filter(
+                    (id) => id !== recordId,
+                ),
+            });
+        }
+
+        this._publishRecordEvent(key, RECORD_EVENTS.UPDATE, [recordId]);
+        try {
+            await notifyRecordUpdateAvailable([{ recordId }]);
+            // Probability, sort position, counts and pipeline follow the stage
+            const current = this._getTab(key);
+            if (this._isSearchActive(current)) {
+                await this._executeSearch(key, current.searchTerm.trim());
+            }
+            await this._reloadData(key);
+        } catch (error) {
+            console.error(`Error reloading ${tab.label}:`, error);
+        }
+    }
+
+    // Moves the card in both the paginated rows and the search results
+    _setCardStage(key, recordId, stage) {
+        const tab = this._getTab(key);
+        this._updateTab(key, {
+            records: withStage(tab.records, recordId, stage),
+            searchResults: withStage(tab.searchResults, recordId, stage),
+        });
+    }
+
+    // =========================================================
+    //  LIVE UPDATES (Change Data Capture via empApi)
+    //  One subscription per object. CDC events are org-wide, so
+    //  they are narrowed to this Account on the client, batched,
+    //  and only the changed rows are re-read and merged.
+    // =========================================================
+    /**
+     * Subscribes to the channels of the loaded tabs' objects. Runs after
+     * every load, possibly overlapping: a channel's pending subscription is
+     * recorded before it is awaited, so each channel is subscribed once.
+     */
+    async _subscribeToChanges() {
+        try {
+            if (!(await isEmpEnabled())) return;
+        } catch (error) {
+            return;
+        }
+        // Disconnected meanwhile: nothing would unsubscribe
+        if (!this._isConnected) return;
+        if (!this._isEmpErrorHandlerSet) {
+            this._isEmpErrorHandlerSet = true;
+            onError((error) => {
+                console.error("Live updates error:", JSON.stringify(error));
+            });
+        }
+
+        const objectApiNames = new Set(
+            this.tabs
+                .filter((tab) => tab.info)
+                .map((tab) => tab.info.objectApiName),
+        );
+        await Promise.all(
+            [...objectApiNames].map((objectApiName) =>
+                this._subscribeToChannel(objectApiName),
+            ),
+        );
+    }
+
+    _subscribeToChannel(objectApiName) {
+        const channel = changeEventChannel(objectApiName);
+        if (!this._subscriptions[channel]) {
+            // -1 = only new events
+            const pending = subscribe(channel, -1, (message) =>
+                this._handleChangeEvent(objectApiName, message),
+            ).catch((error) => {
+                // CDC not enabled for this object — the tab still works
+                console.error(`Could not subscribe to ${channel}:`, error);
+                // A later load may try again
+                if (this._subscriptions[channel] === pending) {
+                    delete this._subscriptions[channel];
+                }
+                return undefined;
+            });
+            this._subscriptions[channel] = pending;
+        }
+        return this._subscriptions[channel];
+    }
+
+    // Pending subscriptions are unsubscribed once they are made
+    _unsubscribeFromChanges() {
+        Object.values(this._subscriptions).forEach((pending) => {
+            pending.then((subscription) => {
+                if (subscription) {
+                    unsubscribe(subscription, () => {});
+                }
+            });
+        });
+        this._subscriptions = {};
+    }
+
+    _handleChangeEvent(objectApiName, message) {
+        const change = parseChangeEvent(message);
+        this.tabs
+            .filter((tab) => tab.info?.objectApiName === objectApiName)
+            .forEach((tab) => {
+                // A tab without rows yet only has a count to keep current
+                if (!tab.isLoaded) {
+                    if (
+                        isGapEvent(change) ||
+                        isUnattributedDelete(change, new Set()) ||
+                        isRelevantChange(
+                            change,
+                            tab.info.parentField,
+                            this._accountIds(),
+                            new Set(),
+                        )
+                    ) {
+                        this._scheduleRecount(tab);
+                    }
+                    return;
+                }
+                if (isGapEvent(change)) {
+                    this._reloadData(tab.key).catch((error) =>
+                        console.error(`Error reloading ${tab.label}:`, error),
+                    );
+                    return;
+                }
+                const loadedIds = new Set(
+                    [...tab.records, ...tab.searchResults].map((row) => row.Id),
+                );
+                if (isUnattributedDelete(change, loadedIds)) {
+                    this._scheduleRecount(tab);
+                    return;
+                }
+                if (
+                    !isRelevantChange(
+                        change,
+                        tab.info.parentField,
+                        this._accountIds(),
+                        loadedIds,
+                    )
+                ) {
+                    return;
+                }
+                this._warnOnDraftConflict(tab, change);
+
+                const pending = this._pendingChanges[tab.key] || new Set();
+                change.recordIds.forEach((recordId) => pending.add(recordId));
+                this._pendingChanges[tab.key] = pending;
+                clearTimeout(this._liveTimers[tab.key]);
+                this._liveTimers[tab.key] = setTimeout(() => {
+                    this._applyChanges(tab.key);
+                }, LIVE_UPDATE_BATCH_MS);
+            });
+    }
+
+    // One COUNT() query per burst of events, like the row re-reads
+    _scheduleRecount(tab) {
+        clearTimeout(this._countTimers[tab.key]);
+        this._countTimers[tab.key] = setTimeout(() => {
+            delete this._countTimers[tab.key];
+            this._refreshCount(tab.key).catch((error) =>
+                console.error(`Error counting ${tab.label}:`, error),
+            );
+        }, LIVE_UPDATE_BATCH_MS);
+    }
+
+    /**
+     * Re-reads the changed rows and merges them: updated rows are replaced,
+     * rows gone from the Account are removed, new rows go on top.
+     */
+    async _applyChanges(key) {
+        const recordIds = [...(this._pendingChanges[key] || [])];
+        delete this._pendingChanges[key];
+        const tab = this._getTab(key);
+        if (!recordIds.length || !tab) return;
+
+        try {
+            const [rows, count] = await Promise.all([
+                // With filters applied, rows that no longer match are
+                // not returned and drop out like deleted ones
+                getRelatedRecordsByIds({
+                    accountId: this.recordId,
+                    relationshipName: tab.relationshipName,
+                    fieldSetName: tab.fieldSetName,
+                    recordIds,
+                    filters: this._filterParam(tab),
+                    includeChildAccounts: this.includeChildAccounts,
+                }),
+                getRelatedRecordCount(this._countParams(tab)),
+            ]);
+
+            const changedIds = new Set(recordIds);
+            const fresh = new Map(
+                this._addRecordUrls(rows).map((row) => [
+                    row.Id,
+                    { ...row, [ROW_CLASS_FIELD]: HIGHLIGHT_CLASS },
+                ]),
+            );
+            const merge = (list) =>
+                list
+                    .filter((row) => !changedIds.has(row.Id) || fresh.has(row.Id))
+                    .map((row) => fresh.get(row.Id) || row);
+
+            const current = this._getTab(key);
+            const records = merge(current.records);
+            const knownIds = new Set(records.map((row) => row.Id));
+            const added = [...fresh.values()].filter(
+                (row) => !knownIds.has(row.Id),
+            );
+            this._updateTab(key, {
+                records: [...added, ...records],
+                // New rows may not match the search term, so search results
+                // only get updates and removals
+                searchResults: merge(current.searchResults),
+                totalCount: count,
+                // A new owner may change who can edit or delete the rows
+                recordAccess: withoutAccess(current.recordAccess, recordIds),
+            });
+            this._clearHighlightLater(key, [...fresh.keys()]);
+            this._schedulePipelineRefresh(key);
+        } catch (error) {
+            console.error(`Error applying live updates to ${tab.label}:`, error);
+        }
+    }
+
+    _clearHighlightLater(key, recordIds) {
+        const ids = new Set(recordIds);
+        const timer = setTimeout(() => {
+            this._highlightTimers.delete(timer);
+            const tab = this._getTab(key);
+            if (!tab) return;
+            const clear = (list) =>
+                list.map((row) =>
+                    ids.has(row.Id) && row[ROW_CLASS_FIELD]
+                        ? { ...row, [ROW_CLASS_FIELD]: undefined }
+                        : row,
+                );
+            this._updateTab(key, {
+                records: clear(tab.records),
+                searchResults: clear(tab.searchResults),
+            });
+        }, HIGHLIGHT_MS);
+        this._highlightTimers.add(timer);
+    }
+
+    /**
+     * Someone else changed (or deleted) a record the user has unsaved
+     * drafts on — the draft is kept, but saving would overwrite them.
+     */
+    _warnOnDraftConflict(tab, change) {
+        if (change.commitUser === USER_ID) return;
+        const labels = new Map(
+            tab.info.columns.map((column) => [column.fieldName, column.label]),
+        );
+        const rowsById = new Map(
+            [...tab.records, ...tab.searchResults].map((row) => [row.Id, row]),
+        );
+        const conflicts = tab.draftValues
+            .filter((draft) => change.recordIds.includes(draft.Id))
+            .map((draft) => ({
+                draft,
+                fields: conflictingFields(change, draft),
+            }))
+            .filter((conflict) => conflict.fields.length);
+        if (!conflicts.length) return;
+
+        const isDelete = change.changeType === CHANGE_TYPES.DELETE;
+        const details = conflicts.map(({ draft, fields }) => {
+            const name = rowsById.get(draft.Id)?.[tab.info.nameField] || draft.Id;
+            const fieldLabels = fields.map((field) => labels.get(field) || field);
+            return `${name} (${fieldLabels.join(", ")})`;
+        });
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: isDelete
+                    ? "Record Deleted While Editing"
+                    : "Record Changed While Editing",
+                message: isDelete
+                    ? `Someone deleted a record you are editing: ${details.join("; ")}. Your changes can't be saved.`
+                    : `Someone else changed fields you are editing: ${details.join("; ")}. Saving will ask which values to keep.`,
+                variant: "warning",
+                mode: "sticky",
+            }),
+        );
+    }
+
+    // =========================================================
+    //  LIGHTNING MESSAGE SERVICE
+    //  Publishes what the user does with the rows (focus,
+    //  selection, create, update, delete) and takes refresh /
+    //  filter commands from other components on the page.
+    // =========================================================
+    _publishRecordEvent(key, eventType, recordIds) {
+        const tab = this._getTab(key);
+        if (!tab) return;
+        publish(
+            this.messageContext,
+            RECORD_EVENT_CHANNEL,
+            recordEventMessage(eventType, tab, recordIds, this.recordId),
+        );
+    }
+
+    handleRowFocus(event) {
+        this._publishRecordEvent(
+            this._tabKeyFrom(event),
+            RECORD_EVENTS.FOCUS,
+            [event.detail.recordId],
+        );
+    }
+
+    _subscribeToCommands() {
+        if (this._commandSubscription) return;
+        this._commandSubscription = subscribeToChannel(
+            this.messageContext,
+            RECORDS_COMMAND_CHANNEL,
+            (message) => this._handleCommand(message),
+        );
+    }
+
+    async _handleCommand(message) {
+        if (!isCommandFor(message, this.recordId)) return;
+        const tabs = commandTabs(message, this.tabs);
+        try {
+            switch (message.action) {
+                case COMMANDS.REFRESH:
+                    await Promise.all([
+                        ...tabs.map((tab) =>
+                            tab.isLoaded
+                                ? this._reloadTab(tab.key)
+                                : this._refreshCount(tab.key),
+                        ),
+                        message.relationshipName
+                            ? undefined
+                            : this.template
+                                  .querySelector("c-activity-timeline")
+                                  ?.refresh(),
+                    ]);
+                    break;
+                case COMMANDS.FILTER:
+                    await this._filterFromCommand(message, tabs);
+                    break;
+                case COMMANDS.CLEAR_FILTERS:
+                    await Promise.all(
+                        tabs
+                            .filter((tab) => this._filterParam(tab))
+                            .map((tab) => this._applyFilters(tab.key, {})),
+                    );
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            console.error(`Error handling "${message.action}" command:`, error);
+        }
+    }
+
+    // Shows the filtered tab; tabs that can't filter on it are left alone
+    async _filterFromCommand(message, tabs) {
+        const targets = tabs
+            .map((tab) => ({ tab, values: commandFilterValues(message, tab) }))
+            .filter((target) => target.values);
+        if (!targets.length) return;
+        const prompt = this._leavePrompt(
+            targets[0].tab.key,
+            targets.map((target) => target.tab),
+        );
+        if (prompt) {
+            this.unsavedPrompt = {
+                ...prompt,
+                action: UNSAVED_PROMPT_ACTIONS.FILTER_COMMAND,
+                filterTargets: targets,
+                confirmLabel: "Apply Filters",
+            };
+            return;
+        }
+        await this._applyCommandFilters(targets);
+    }
+
+    async _applyCommandFilters(targets) {
+        this.activeTabKey = targets[0].tab.key;
+        await Promise.all(
+            targets.map(({ tab, values }) => this._applyFilters(tab.key, values)),
+        );
+    }
+
+    // =========================================================
+    //  UNSAVED DRAFTS
+    //  Drafts are stored per Account and tab in sessionStorage
+    //  (unsavedDrafts.js) and restored when the Account is
+    //  opened again. Refresh, tab switches, views and filters
+    //  replacing a tab's search, and leaving the page ask first
+    //  while there are any.
+    // =========================================================
+
+    _draftedTabs() {
+        return this.tabs.filter((tab) => tab.draftValues.length > 0);
+    }
+
+    /**
+     * The prompt before opening the tab at key, and replacing the search and
+     * filters of the given tabs, while any of them has drafts. User actions
+     * and commands alike go through it; only the initial load doesn't.
+     * @returns {{title: string, message: string}|undefined} undefined when
+     *          no drafts are involved
+     */
+    _leavePrompt(key, replacedTabs = []) {
+        const current = this._getTab(this.activeTabKey);
+        const involved = new Set([
+            ...(key !== this.activeTabKey ? [current] : []),
+            ...replacedTabs,
+        ]);
+        const drafted = this.tabs.filter(
+            (tab) => involved.has(tab) && tab.draftValues.length,
+        );
+        if (!drafted.length) return undefined;
+        return {
+            title: "Leave Unsaved Changes?",
+            message: `${unsavedSummary(drafted)}. They stay on the tab until you save or cancel them.`,
+        };
+    }
+
+    // Drafts stored in this browser session for the Account's tabs
+    _restoreDrafts() {
+        this.tabs = this.tabs.map((tab) => ({
+            ...tab,
+            ...readDrafts(this.recordId, tab),
+        }));
+    }
+
+    _storeDrafts(key) {
+        const tab = this._getTab(key);
+        const draftBases = withDraftBases(tab.draftBases, tab.draftValues, [
+            ...tab.records,
+            ...tab.searchResults,
+        ]);
+        this.tabs = this.tabs.map((t) =>
+            t.key === key ? { ...t, draftBases } : t,
+        );
+        writeDrafts(this.recordId, this._getTab(key));
+    }
+
+    // Leaving the page keeps the drafts (restored on return), but asks first
+    _navigate(pageReference) {
+        const drafted = this._draftedTabs();
+        if (drafted.length) {
+            this.unsavedPrompt = {
+                action: UNSAVED_PROMPT_ACTIONS.NAVIGATE,
+                pageReference,
+                title: "Leave Unsaved Changes?",
+                message: `${unsavedSummary(drafted)}. They are kept for this browser session and shown again when you come back.`,
+                confirmLabel: "Leave Page",
+            };
+            return;
+        }
+        this[NavigationMixin.Navigate](pageReference);
+    }
+
+    handleUnsavedCancel() {
+        this.unsavedPrompt = undefined;
+    }
+
+    handleUnsavedConfirm() {
+        const {
+            action,
+            tabKey,
+            recordId,
+            viewId,
+            filterTargets,
+            pageReference,
+        } = this.unsavedPrompt;
+        this.unsavedPrompt = undefined;
+        switch (action) {
+            case UNSAVED_PROMPT_ACTIONS.SWITCH_TAB:
+                this._switchTab(tabKey);
+                break;
+            case UNSAVED_PROMPT_ACTIONS.OPEN_VIEW: {
+                const view = this.savedViews.find((v) => v.id === viewId);
+                if (view) {
+                    this._showView(view);
+                }
+                break;
+            }
+            case UNSAVED_PROMPT_ACTIONS.STANDARD_VIEW:
+                this._showStandardView(this.activeTabKey);
+                break;
+            case UNSAVED_PROMPT_ACTIONS.FILTER_COMMAND:
+                this._applyCommandFilters(filterTargets).catch((error) =>
+                    console.error('Error handling "filter" command:', error),
+                );
+                break;
+            case UNSAVED_PROMPT_ACTIONS.REVEAL_RECORD:
+                this._revealRecord(tabKey, recordId);
+                break;
+            case UNSAVED_PROMPT_ACTIONS.REFRESH:
+                this._draftedTabs().forEach((tab) =>
+                    this._updateTab(tab.key, {
+                        draftValues: [],
+                        saveErrors: undefined,
+                    }),
+                );
+                this._refresh();
+                break;
+            case UNSAVED_PROMPT_ACTIONS.NAVIGATE:
+                this[NavigationMixin.Navigate](pageReference);
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Reloading or closing the browser tab: the browser's own prompt
+    _handleBeforeUnload = (event) => {
+        if (!this._draftedTabs().length) return;
+        event.preventDefault();
+        event.returnValue = "";
+    };
+
+    // =========================================================
+    //  FLOW SCREENS + EXPERIENCE CLOUD
+    //  In a Flow the Account comes from accountId, the selection
+    //  of the open tab is the output and validate() holds the
+    //  user back until enough rows are picked. Record links use
+    //  the URL NavigationMixin generates for this app or site,
+    //  since "/" + Id only resolves in Lightning Experience.
+    // =========================================================
+
+    // recordId and accountId both set the Account
+    _setAccount(value) {
+        if (value === this._recordId) return;
+        if (this._isConnected) {
+            this._saveToCache();
+        }
+        this._recordId = value;
+        if (this._isConnected) {
+            this._openAccount();
+        }
+    }
+
+    // The initialTab property's tab, when it names one of the lists
+    _initialTabKey() {
+        const key = (this.initialTab || "").trim().toLowerCase();
+        return this.tabs.some((tab) => tab.key === key) ? key : undefined;
+    }
+
+    // Flow passes availableActions to its screen components only
+    get _isInFlow() {
+        return Array.isArray(this.availableActions);
+    }
+
+    // Leaving the page would lose the Flow: links open a new tab there
+    get _linkTarget() {
+        return this._isInFlow ? "_blank" : "_self";
     }
 
-    get hasOpportunityError() {
-        return !!this.opportunityError;
+    _activeSelection() {
+        return this._getTab(this.activeTabKey)?.selectedIds || [];
+    }
+
+    /**
+     * Reports the open tab's selection to the Flow when it changed since
+     * last reported (rows picked, cleared, or another tab opened).
+     */
+    _reportSelection() {
+        if (!this._isInFlow) return;
+        const selectedIds = this._activeSelection();
+        const reported = selectedIds.join(",");
+        if (reported === this._reportedSelection) return;
+        this._reportedSelection = reported;
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent("selectedRecordIds", [
+                ...selectedIds,
+            ]),
+        );
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent("selectedRecordId", selectedIds[0]),
+        );
+    }
+
+    /**
+     * Learns the record URLs of this app or site from the Account's, then
+     * relinks the rows loaded meanwhile. Record page URLs without an
+     * object name work for any object.
+     */
+    async _loadUrlPattern() {
+        const recordId = this.recordId;
+        if (this._isUrlPatternRequested || !recordId) return;
+        this._isUrlPatternRequested = true;
+        try {
+            const url = await this[NavigationMixin.GenerateUrl]({
+                type: "standard__recordPage",
+                attributes: { recordId, actionName: "view" },
+            });
+            this._urlPattern = urlPatternFrom(url, recordId);
+        } catch (error) {
+            // "/" + Id links stay: fine in Lightning Experience
+            console.error("Error generating record URLs:", error);
+            return;
+        }
+        this.tabs.forEach((tab) =>
+            this._updateTab(tab.key, {
+                records: withRecordUrls(tab.records, this._urlPattern),
+                searchResults: withRecordUrls(
+                    tab.searchResults,
+                    this._urlPattern,
+                ),
+            }),
+        );
     }
 
-    get contactErrorMessage() {
+    // =============================
+    //  COMPUTED PROPERTIES
+    // =============================
+
+    get accountName() {
         return (
-            this.contactError?.body?.message || "Unknown error loading contacts"
+            getFieldValue(this._accountRecord, ACCOUNT_NAME_FIELD) || "Account"
         );
     }
 
-    get opportunityErrorMessage() {
+    get accountIndustry() {
         return (
-            this.opportunityError?.body?.message ||
-            "Unknown error loading opportunities"
+            getFieldValue(this._accountRecord, ACCOUNT_INDUSTRY_FIELD) || "—"
         );
     }
 
-    // Disable infinite loading during search (search returns all results)
-    get contactInfiniteLoadingEnabled() {
-        if (this._isContactSearchActive) return false;
-        return this.enableContactInfiniteLoading;
+    get accountPhone() {
+        return (
+            formatPhone(getFieldValue(this._accountRecord, ACCOUNT_PHONE_FIELD)) ||
+            "—"
+        );
     }
 
-    get opportunityInfiniteLoadingEnabled() {
-        if (this._isOpportunitySearchActive) return false;
-        return this.enableOpportunityInfiniteLoading;
+    get accountWebsite() {
+        return getFieldValue(this._accountRecord, ACCOUNT_WEBSITE_FIELD) || "—";
     }
 
     // =============================
@@ -621,74 +2692,290 @@ export default class AccountRelatedRecords extends NavigationMixin(
     // =============================
 
     handleTabClick(event) {
-        this.activeTab = event.currentTarget.dataset.tab;
+        const key = event.currentTarget.dataset.tab;
+        const prompt = this._leavePrompt(key);
+        if (prompt) {
+            this.unsavedPrompt = {
+                ...prompt,
+                action: UNSAVED_PROMPT_ACTIONS.SWITCH_TAB,
+                tabKey: key,
+                confirmLabel: "Switch Tab",
+            };
+            return;
+        }
+        this._switchTab(key);
+    }
+
+    _switchTab(key) {
+        this.activeTabKey = key;
+        this._openTab(key);
+    }
+
+    // =============================
+    //  ACTIVITY TAB
+    //  c-activity-timeline loads its own entries when shown
+    // =============================
+
+    get showActivityTab() {
+        return !this.hideActivityTimeline;
+    }
+
+    get isActivityTabActive() {
+        return this.activeTabKey === ACTIVITY_TAB_KEY;
+    }
+
+    // Saved views, filters and bulk actions apply to the related lists only
+    get isListTabActive() {
+        return !this.isActivityTabActive;
+    }
+
+    get activityTabKey() {
+        return ACTIVITY_TAB_KEY;
+    }
+
+    get activityTabClass() {
+        return `tab-button ${this.isActivityTabActive ? "active" : ""}`;
+    }
+
+    // --- Row Actions ---
+    async handleRowAction(event) {
+        const key = this._tabKeyFrom(event);
+        const action = event.detail.action;
+        const row = event.detail.row;
+
+        switch (action.name) {
+            case "view":
+                this._navigate({
+                    type: "standard__recordPage",
+                    attributes: {
+                        recordId: row.Id,
+                        actionName: "view",
+                    },
+                });
+                break;
+
+            case "delete":
+                await this._confirmDelete(row, key);
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    // =========================================================
+    //  OPPORTUNITY DETAILS (expanded rows)
+    //  The chevron column opens a row's products and contact
+    //  roles (c-opportunity-details), loaded on demand. A
+    //  contact role leads to the contact's row on its tab.
+    // =========================================================
+
+    handleRowExpand(event) {
+        const key = this._tabKeyFrom(event);
+        const tab = this._getTab(key);
+        this._updateTab(key, {
+            expandedIds: toggleExpanded(tab.expandedIds, event.detail.recordId),
+        });
+    }
+
+    handleDetailsCollapse(event) {
+        const key = this._tabKeyFrom(event);
+        const tab = this._getTab(key);
+        this._updateTab(key, {
+            expandedIds: tab.expandedIds.filter(
+                (id) => id !== event.detail.opportunityId,
+            ),
+        });
+    }
+
+    // Saved line items change the Opportunity's Amount: re-read its row
+    handleLineItemsChange(event) {
+        const key = this._tabKeyFrom(event);
+        this._publishRecordEvent(key, RECORD_EVENTS.UPDATE, [
+            event.detail.opportunityId,
+        ]);
+        const pending = this._pendingChanges[key] || new Set();
+        pending.add(event.detail.opportunityId);
+        this._pendingChanges[key] = pending;
+        this._applyChanges(key);
+    }
+
+    // Contact role → the contact's row on the Contacts tab, else its page
+    handleContactSelect(event) {
+        const { contactId } = event.detail;
+        const contactsTab = this.tabs.find(
+            (tab) => tab.info?.objectApiName === "Contact",
+        );
+        if (!contactsTab) {
+            this._navigate({
+                type: "standard__recordPage",
+                attributes: { recordId: contactId, actionName: "view" },
+            });
+            return;
+        }
+        // Revealing clears the tab's search
+        const prompt = this._leavePrompt(
+            contactsTab.key,
+            this._isSearchActive(contactsTab) ? [contactsTab] : [],
+        );
+        if (prompt) {
+            this.unsavedPrompt = {
+                ...prompt,
+                action: UNSAVED_PROMPT_ACTIONS.REVEAL_RECORD,
+                tabKey: contactsTab.key,
+                recordId: contactId,
+                confirmLabel: "Show Contact",
+            };
+            return;
+        }
+        this._revealRecord(contactsTab.key, contactId);
+    }
+
+    /**
+     * Opens the tab on one of its records: highlighted and scrolled to.
+     * A search is cleared first; rows down to the record are loaded when
+     * it is further down the list than the rows loaded so far.
+     */
+    async _revealRecord(key, recordId) {
+        this.activeTabKey = key;
+        try {
+            await this._openTab(key);
+            let tab = this._getTab(key);
+            if (this._isSearchActive(tab)) {
+                clearTimeout(this._debounceTimers[key]);
+                this._updateTab(key, {
+                    searchTerm: "",
+                    searchedTerm: "",
+                    searchResults: [],
+                    searchOffset: null,
+                    selectedIds: [],
+                });
+                this._schedulePipelineRefresh(key);
+                tab = this._getTab(key);
+            }
+            if (!tab.records.some((row) => row.Id === recordId)) {
+                const isShown = await this._loadRowsDownTo(key, recordId);
+                if (!isShown) return;
+            }
+        } catch (error) {
+            this._updateTab(key, { error });
+            return;
+        }
+
+        const current = this._getTab(key);
+        this._updateTab(key, {
+            records: current.records.map((row) =>
+                row.Id === recordId
+                    ? { ...row, [ROW_CLASS_FIELD]: HIGHLIGHT_CLASS }
+                    : row,
+            ),
+        });
+        this._clearHighlightLater(key, [recordId]);
+        this._scrollTarget = { key, recordId };
+    }
+
+    /**
+     * Reloads the tab with enough rows to include the record.
+     * @returns {boolean} false when the filters hide the record or it is
+     *                    too far down to load
+     */
+    async _loadRowsDownTo(key, recordId) {
+        const tab = this._getTab(key);
+        const placement = await locateRelatedRecord({
+            ...this._queryParams(tab),
+            recordId,
+        });
+        if (!placement.record || placement.position >= MAX_RELOAD_SIZE) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Not in This List",
+                    message: placement.record
+                        ? `The record is too far down the ${tab.label.toLowerCase()} list. Sort or search to find it.`
+                        : `The current filters hide this record from ${tab.label.toLowerCase()}.`,
+                    variant: "info",
+                }),
+            );
+            return false;
+        }
+        const page = await getRelatedRecords({
+            ...this._queryParams(tab),
+            pageSize: Math.max(placement.position + 1, this._reloadSize(tab)),
+            cursor: null,
+        });
+        this._updateTab(key, {
+            records: this._addRecordUrls(page.records),
+            cursor: page.nextCursor,
+            enableInfiniteLoading: !!page.nextCursor,
+        });
+        return true;
     }
 
-    // --- Row Actions ---
-    handleContactRowAction(event) {
-        this._handleRowAction(event, "contact");
+    // =========================================================
+    //  DELETE CONFIRMATION
+    //  Names the record and lists the child records a delete
+    //  would cascade to (from the describe, via Apex).
+    // =========================================================
+    async _confirmDelete(row, key) {
+        const tab = this._getTab(key);
+        this.deleteConfirm = {
+            key,
+            row,
+            name: row[tab.info.nameField] || "this record",
+            labelSingular: tab.info.labelSingular.toLowerCase(),
+            impacts: [],
+            isLoadingImpact: true,
+        };
+        let impacts = [];
+        try {
+            impacts = await getDeleteImpact({ recordId: row.Id });
+        } catch (error) {
+            // The warning is best effort — the user can still confirm
+            console.error("Error loading delete impact:", error);
+        }
+        // The dialog may have been closed or reopened for another row meanwhile
+        if (this.deleteConfirm?.row.Id === row.Id) {
+            this.deleteConfirm = {
+                ...this.deleteConfirm,
+                impacts: impacts.map((impact) => ({
+                    ...impact,
+                    text: `${impact.count} ${impact.label.toLowerCase()}`,
+                })),
+                isLoadingImpact: false,
+            };
+        }
     }
 
-    handleOpportunityRowAction(event) {
-        this._handleRowAction(event, "opportunity");
+    get hasDeleteImpacts() {
+        return !!this.deleteConfirm?.impacts.length;
     }
 
-    async _handleRowAction(event, objectType) {
-        const action = event.detail.action;
-        const row = event.detail.row;
-
-        switch (action.name) {
-            case "view":
-                this[NavigationMixin.Navigate]({
-                    type: "standard__recordPage",
-                    attributes: {
-                        recordId: row.Id,
-                        actionName: "view",
-                    },
-                });
-                break;
-
-            case "delete":
-                await this._deleteRow(row, objectType);
-                break;
+    handleDeleteCancel() {
+        this.deleteConfirm = undefined;
+    }
 
-            default:
-                break;
-        }
+    async handleDeleteConfirm() {
+        const { row, key } = this.deleteConfirm;
+        this.deleteConfirm = undefined;
+        await this._deleteRow(row, key);
     }
 
     // =========================================================
     //  LDS DELETE
     // =========================================================
-    async _deleteRow(row, objectType) {
+    async _deleteRow(row, key) {
+        const tab = this._getTab(key);
         this.isSaving = true;
         try {
             await deleteRecord(row.Id);
+            this._publishRecordEvent(key, RECORD_EVENTS.DELETE, [row.Id]);
 
-            this.dispatchEvent(
-                new ShowToastEvent({
-                    title: "Deleted",
-                    message: `${row.Name || "Record"} has been deleted`,
-                    variant: "success",
-                }),
-            );
+            this._showUndoNotice(key, row.Id, row[tab.info.nameField]);
 
-            // If we're in search mode, re-run search. Otherwise reload paginated data.
-            if (objectType === "contact") {
-                if (this._isContactSearchActive) {
-                    await this._executeContactSearch(
-                        this.contactSearchTerm.trim(),
-                    );
-                }
-                await this._reloadData("contact");
-            } else {
-                if (this._isOpportunitySearchActive) {
-                    await this._executeOpportunitySearch(
-                        this.opportunitySearchTerm.trim(),
-                    );
-                }
-                await this._reloadData("opportunity");
+            // If we're in search mode, re-run search. Then reload paginated data.
+            if (this._isSearchActive(tab)) {
+                await this._executeSearch(key, tab.searchTerm.trim());
             }
+            await this._reloadData(key);
         } catch (error) {
             this.dispatchEvent(
                 new ShowToastEvent({
@@ -704,41 +2991,48 @@ export default class AccountRelatedRecords extends NavigationMixin(
     }
 
     // =========================================================
-    //  LDS UPDATE
+    //  UNDO DELETE
+    //  Platform toasts can't call back into the component, so the
+    //  "Undo" action lives in an in-component toast that restores
+    //  the record from the Recycle Bin through Apex.
     // =========================================================
-    async handleContactSave(event) {
-        const draftValues = event.detail.draftValues;
-        this.isSaving = true;
-
-        try {
-            const updatePromises = draftValues.map((draft) => {
-                const fields = { ...draft };
-                return updateRecord({ fields });
-            });
-            await Promise.all(updatePromises);
+    _showUndoNotice(key, recordId, name) {
+        clearTimeout(this._undoTimer);
+        this.undoNotice = { key, recordId, name: name || "Record" };
+        this._undoTimer = setTimeout(() => {
+            this.undoNotice = undefined;
+        }, UNDO_WINDOW_MS);
+    }
 
-            const recordIds = draftValues.map((d) => ({ recordId: d.Id }));
-            await notifyRecordUpdateAvailable(recordIds);
+    handleUndoDismiss() {
+        clearTimeout(this._undoTimer);
+        this.undoNotice = undefined;
+    }
 
+    async handleUndoDelete() {
+        const { key, recordId, name } = this.undoNotice;
+        this.handleUndoDismiss();
+        this.isSaving = true;
+        try {
+            await undeleteRecord({ recordId });
+            this._publishRecordEvent(key, RECORD_EVENTS.UNDELETE, [recordId]);
             this.dispatchEvent(
                 new ShowToastEvent({
-                    title: "Success",
-                    message: `${draftValues.length} contact(s) updated successfully`,
+                    title: "Restored",
+                    message: `${name} has been restored`,
                     variant: "success",
                 }),
             );
 
-            this.contactDraftValues = [];
-
-            // Re-run search if active, and reload paginated data + count
-            if (this._isContactSearchActive) {
-                await this._executeContactSearch(this.contactSearchTerm.trim());
+            const tab = this._getTab(key);
+            if (this._isSearchActive(tab)) {
+                await this._executeSearch(key, tab.searchTerm.trim());
             }
-            await this._reloadData("contact");
+            await this._reloadData(key);
         } catch (error) {
             this.dispatchEvent(
                 new ShowToastEvent({
-                    title: "Error Updating Contacts",
+                    title: "Error Restoring Record",
                     message:
                         error.body?.message || "An unexpected error occurred",
                     variant: "error",
@@ -749,40 +3043,236 @@ export default class AccountRelatedRecords extends NavigationMixin(
         }
     }
 
-    async handleOpportunitySave(event) {
+    // =========================================================
+    //  LDS UPDATE (partial success)
+    //  Each draft is saved on its own: rows that save are kept,
+    //  failed drafts stay in draftValues and are flagged through
+    //  the datatable errors attribute with the server's messages.
+    //  The rows are re-read first: fields someone else changed
+    //  since they loaded go through the conflict dialog.
+    // =========================================================
+    async handleSave(event) {
+        const key = this._tabKeyFrom(event);
+        const tab = this._getTab(key);
         const draftValues = event.detail.draftValues;
         this.isSaving = true;
 
         try {
-            const updatePromises = draftValues.map((draft) => {
-                const fields = { ...draft };
-                return updateRecord({ fields });
-            });
-            await Promise.all(updatePromises);
-
-            const recordIds = draftValues.map((d) => ({ recordId: d.Id }));
-            await notifyRecordUpdateAvailable(recordIds);
-
+            const { conflicts, versions } = await this._checkConflicts(
+                tab,
+                draftValues,
+            );
+            if (conflicts.length) {
+                this.saveConflict = { key, draftValues, versions, conflicts };
+                return;
+            }
+            await this._saveDrafts(key, draftValues, versions);
+        } catch (error) {
             this.dispatchEvent(
                 new ShowToastEvent({
-                    title: "Success",
-                    message: `${draftValues.length} opportunity(ies) updated successfully`,
-                    variant: "success",
+                    title: `Error Updating ${tab.label}`,
+                    message:
+                        error.body?.message || "An unexpected error occurred",
+                    variant: "error",
                 }),
             );
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * Re-reads the drafted rows (without the tab's filters, so edited rows
+     * that no longer match are still compared) and finds the conflicts with
+     * the rows as they were when edited (which may predate a live update,
+     * or this page when the drafts were restored).
+     */
+    async _checkConflicts(tab, draftValues) {
+        const records = await getRelatedRecordsByIds({
+            accountId: this.recordId,
+            relationshipName: tab.relationshipName,
+            fieldSetName: tab.fieldSetName,
+            recordIds: draftValues.map((draft) => draft.Id),
+            filters: null,
+            includeChildAccounts: this.includeChildAccounts,
+        });
+        const loadedRows = new Map([
+            ...[...tab.records, ...tab.searchResults].map((row) => [
+                row.Id,
+                row,
+            ]),
+            ...Object.entries(tab.draftBases),
+        ]);
+        return findConflicts(draftValues, loadedRows, records);
+    }
+
+    /**
+     * Saves the drafts, each only if its record is still the version the
+     * conflict check read (LDS ifUnmodifiedSince): a change made in the
+     * meantime fails that row instead of being overwritten.
+     * @param {object} versions LastModifiedDate by record Id
+     * @param {object[]} replacedDrafts Drafts this save settles, when more
+     *        than draftValues (conflict rows resolved to "theirs" only)
+     */
+    async _saveDrafts(
+        key,
+        draftValues,
+        versions,
+        replacedDrafts = draftValues,
+    ) {
+        const tab = this._getTab(key);
+        const outcomes = await Promise.allSettled(
+            draftValues.map((draft) =>
+                updateRecord(
+                    { fields: { ...draft } },
+                    versions[draft.Id]
+                        ? { ifUnmodifiedSince: versions[draft.Id] }
+                        : undefined,
+                ),
+            ),
+        );
+
+        const savedIds = [];
+        const failures = [];
+        outcomes.forEach((outcome, index) => {
+            const draft = draftValues[index];
+            if (outcome.status === "fulfilled") {
+                savedIds.push(draft.Id);
+            } else {
+                failures.push({
+                    draft,
+                    ...parseSaveError(outcome.reason),
+                });
+            }
+        });
+
+        if (savedIds.length) {
+            this._publishRecordEvent(key, RECORD_EVENTS.UPDATE, savedIds);
+            await notifyRecordUpdateAvailable(
+                savedIds.map((recordId) => ({ recordId })),
+            );
+        }
+
+        this._updateTab(key, {
+            draftValues: [
+                ...otherDrafts(this._getTab(key).draftValues, replacedDrafts),
+                ...failures.map((failure) => failure.draft),
+            ],
+            saveErrors: failures.length
+                ? this._buildSaveErrors(tab, failures, draftValues.length)
+                : undefined,
+        });
+        this._showSaveToast(tab, savedIds.length, failures.length);
+
+        if (savedIds.length) {
+            await this._reloadTab(key);
+        }
+    }
+
+    // Re-run search if active, and reload paginated data + count
+    async _reloadTab(key) {
+        const tab = this._getTab(key);
+        if (this._isSearchActive(tab)) {
+            await this._executeSearch(key, tab.searchTerm.trim());
+        }
+        await this._reloadData(key);
+    }
+
+    // --- Save conflict dialog ("yours vs theirs", per field) ---
+
+    get conflictDialog() {
+        if (!this.saveConflict) return undefined;
+        const { key, conflicts } = this.saveConflict;
+        const tab = this._getTab(key);
+        const fieldCount = conflicts.reduce(
+            (count, conflict) => count + conflict.fields.length,
+            0,
+        );
+        return {
+            objectApiName: tab.info.objectApiName,
+            records: conflictViews(conflicts, tab.info),
+            summary:
+                conflicts.length === 1
+                    ? `Someone else changed ${fieldCount} field(s) you edited since the record loaded.`
+                    : `Someone else changed ${fieldCount} field(s) you edited on ${conflicts.length} ${tab.label.toLowerCase()} since they loaded.`,
+            isSaving: this.isSaving,
+        };
+    }
+
+    handleConflictChoice(event) {
+        const { recordId, field } = event.target.dataset;
+        this._updateConflictField(recordId, field, {
+            choice: event.detail.value,
+        });
+    }
+
+    handleConflictMergeChange(event) {
+        const { recordId, field } = event.target.dataset;
+        this._updateConflictField(recordId, field, {
+            mergeValue: event.detail.value,
+        });
+    }
+
+    _updateConflictField(recordId, fieldName, change) {
+        this.saveConflict = {
+            ...this.saveConflict,
+            conflicts: withFieldChange(
+                this.saveConflict.conflicts,
+                recordId,
+                fieldName,
+                change,
+            ),
+        };
+    }
 
-            this.opportunityDraftValues = [];
+    // The drafts stay in the table, unsaved
+    handleConflictCancel() {
+        this.saveConflict = undefined;
+    }
 
-            if (this._isOpportunitySearchActive) {
-                await this._executeOpportunitySearch(
-                    this.opportunitySearchTerm.trim(),
+    async handleConflictConfirm() {
+        const { key, draftValues, versions, conflicts } = this.saveConflict;
+        const tab = this._getTab(key);
+        const resolved = resolveDrafts(draftValues, conflicts);
+        this.isSaving = true;
+        try {
+            if (resolved.length) {
+                // Rows left with "theirs" only are dropped from the drafts
+                // too, or the next Save would send them after all
+                await this._saveDrafts(key, resolved, versions, draftValues);
+                const keptCount = draftValues.length - resolved.length;
+                if (keptCount) {
+                    this.dispatchEvent(
+                        new ShowToastEvent({
+                            title: "Their Values Kept",
+                            message: `${keptCount} record(s) not saved: their values were kept.`,
+                            variant: "info",
+                        }),
+                    );
+                }
+            } else {
+                // Only "theirs" chosen: nothing to save, show their values
+                this._updateTab(key, {
+                    draftValues: otherDrafts(
+                        this._getTab(key).draftValues,
+                        draftValues,
+                    ),
+                    saveErrors: undefined,
+                });
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: "No Changes Saved",
+                        message: "Their values were kept.",
+                        variant: "info",
+                    }),
                 );
+                await this._reloadTab(key);
             }
-            await this._reloadData("opportunity");
+            this.saveConflict = undefined;
         } catch (error) {
             this.dispatchEvent(
                 new ShowToastEvent({
-                    title: "Error Updating Opportunities",
+                    title: `Error Updating ${tab.label}`,
                     message:
                         error.body?.message || "An unexpected error occurred",
                     variant: "error",
@@ -793,65 +3283,479 @@ export default class AccountRelatedRecords extends NavigationMixin(
         }
     }
 
+    // Drafts live in tab state, so the stage's Probability can be offered
+    // and dependent picklist editors see the controlling value being edited
+    handleCellChange(event) {
+        const key = this._tabKeyFrom(event);
+        const tab = this._getTab(key);
+        const changes = event.detail.draftValues.map((change) =>
+            withStageProbability(tab.info, change),
+        );
+        this._updateTab(key, {
+            draftValues: mergeDrafts(tab.draftValues, changes),
+        });
+    }
+
+    /**
+     * lightning-datatable errors: one entry per failed row (cells named by
+     * fieldNames are highlighted) plus a table-level summary.
+     */
+    _buildSaveErrors(tab, failures, draftCount) {
+        const rows = {};
+        const rowsById = new Map(
+            [...tab.records, ...tab.searchResults].map((row) => [row.Id, row]),
+        );
+        const summary = [];
+        failures.forEach(({ draft, messages, fieldNames }) => {
+            rows[draft.Id] = {
+                title: `${messages.length} error(s) on this row`,
+                messages,
+                fieldNames,
+            };
+            const name = rowsById.get(draft.Id)?.[tab.info.nameField] || draft.Id;
+            summary.push(`${name}: ${messages.join(" ")}`);
+        });
+        return {
+            rows,
+            table: {
+                title: `${failures.length} of ${draftCount} row(s) could not be saved`,
+                messages: summary,
+            },
+        };
+    }
+
+    _showSaveToast(tab, savedCount, failedCount) {
+        const label = tab.label.toLowerCase();
+        let toast;
+        if (!failedCount) {
+            toast = {
+                title: "Success",
+                message: `${savedCount} ${label} record(s) updated successfully`,
+                variant: "success",
+            };
+        } else if (savedCount) {
+            toast = {
+                title: "Some Changes Not Saved",
+                message: `${savedCount} ${label} record(s) saved, ${failedCount} failed. Fix the highlighted rows and save again.`,
+                variant: "warning",
+            };
+        } else {
+            toast = {
+                title: `Error Updating ${tab.label}`,
+                message: `${failedCount} ${label} record(s) could not be saved. See the highlighted rows.`,
+                variant: "error",
+            };
+        }
+        this.dispatchEvent(new ShowToastEvent(toast));
+    }
+
+    // Drafts of rows the datatable doesn't show are kept
+    handleCancel(event) {
+        const tab = this._getTab(this._tabKeyFrom(event));
+        const rows = this._isSearchActive(tab)
+            ? tab.searchResults
+            : tab.records;
+        this._updateTab(tab.key, {
+            draftValues: splitDrafts(tab.draftValues, rows).hidden,
+            saveErrors: undefined,
+        });
+    }
+
     // --- Sorting ---
-    handleContactSort(event) {
+    // Sorting runs server-side: the loaded rows are only a slice of the
+    // data, so pagination restarts from the first page in the new order.
+    async handleSort(event) {
+        const key = this._tabKeyFrom(event);
         const { fieldName, sortDirection } = event.detail;
-        this.contactSortBy = fieldName;
-        this.contactSortDirection = sortDirection;
-        const sortField = fieldName === "recordUrl" ? "Name" : fieldName;
+        this._updateTab(key, {
+            sortBy: fieldName,
+            sortDirection,
+            selectedIds: [],
+        });
+
+        const tab = this._getTab(key);
+        this.isLoading = true;
+        try {
+            const requests = [
+                getRelatedRecords({
+                    ...this._queryParams(tab),
+                    pageSize: PAGE_SIZE,
+                    cursor: null,
+                }),
+            ];
+            if (this._isSearchActive(tab)) {
+                requests.push(this._executeSearch(key, tab.searchTerm.trim()));
+            }
+            const [page] = await Promise.all(requests);
 
-        if (this._isContactSearchActive) {
-            this._searchContacts = this._sortData(
-                [...this._searchContacts],
-                sortField,
-                sortDirection,
+            this._updateTab(key, {
+                records: this._addRecordUrls(page.records),
+                cursor: page.nextCursor,
+                enableInfiniteLoading: !!page.nextCursor,
+            });
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Error Sorting Records",
+                    message:
+                        error.body?.message || "An unexpected error occurred",
+                    variant: "error",
+                }),
             );
-        } else {
-            this._paginatedContacts = this._sortData(
-                [...this._paginatedContacts],
-                sortField,
-                sortDirection,
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // =========================================================
+    //  BULK ACTIONS (selected rows)
+    //  Selections are sent in batches of 200. Each batch is a
+    //  partial-success Apex call, so one failing record doesn't
+    //  block the others; the dialog then lists every failure.
+    // =========================================================
+    handleRowSelection(event) {
+        const key = this._tabKeyFrom(event);
+        const selectedIds = event.detail.selectedRows.map((row) => row.Id);
+        this._updateTab(key, { selectedIds });
+        this._publishRecordEvent(key, RECORD_EVENTS.SELECT, selectedIds);
+    }
+
+    handleClearSelection(event) {
+        this._updateTab(this._tabKeyFrom(event), { selectedIds: [] });
+    }
+
+    handleBulkActionClick(event) {
+        const key = this._tabKeyFrom(event);
+        this.bulkAction = {
+            key,
+            type: event.target.dataset.action,
+            fieldName: undefined,
+            value: undefined,
+            ownerId: undefined,
+            isRunning: false,
+            processed: 0,
+            total: this._getTab(key).selectedIds.length,
+            results: undefined,
+            errorMessage: undefined,
+        };
+    }
+
+    handleBulkFieldChange(event) {
+        this.bulkAction = {
+            ...this.bulkAction,
+            fieldName: event.detail.value,
+            value: undefined,
+        };
+    }
+
+    handleBulkValueChange(event) {
+        this.bulkAction = { ...this.bulkAction, value: event.detail.value };
+    }
+
+    handleBulkOwnerChange(event) {
+        this.bulkAction = {
+            ...this.bulkAction,
+            ownerId: event.detail.recordId,
+        };
+    }
+
+    handleBulkClose() {
+        if (this.bulkAction?.isRunning) return;
+        this.bulkAction = undefined;
+    }
+
+    /**
+     * View model of the bulk action dialog: form → progress → summary.
+     */
+    get bulkModal() {
+        const action = this.bulkAction;
+        if (!action) return undefined;
+        const tab = this._getTab(action.key);
+        const isDone = !!action.results;
+        const results = action.results || [];
+        const failures = results
+            .filter((result) => !result.success)
+            .map((result) => ({
+                ...result,
+                label: result.name || result.recordId,
+            }));
+        const isUpdate = action.type === "update";
+        const isOwner = action.type === "owner";
+        const isDelete = action.type === "delete";
+        return {
+            ...action,
+            title: BULK_ACTION_TITLES[action.type],
+            objectApiName: tab.info.objectApiName,
+            labelLower: tab.label.toLowerCase(),
+            isUpdate,
+            isOwner,
+            isDelete,
+            fieldOptions: tab.info.columns
+                .filter((column) => column.updateable)
+                .map((column) => ({
+                    label: column.label,
+                    value: column.fieldName,
+                })),
+            // Keyed by field so the input is rebuilt when the field changes
+            fieldInputs: action.fieldName
+                ? [{ key: action.fieldName, fieldName: action.fieldName }]
+                : [],
+            showForm: !action.isRunning && !isDone,
+            progress: action.total
+                ? Math.round((action.processed * 100) / action.total)
+                : 0,
+            isDone,
+            successCount: results.length - failures.length,
+            failureCount: failures.length,
+            failures,
+            hasFailures: failures.length > 0,
+            runLabel: isDelete ? "Delete" : "Apply",
+            runVariant: isDelete ? "destructive" : "brand",
+            runDisabled:
+                (isUpdate && !action.fieldName) || (isOwner && !action.ownerId),
+        };
+    }
+
+    async handleBulkRun() {
+        const { key, type } = this.bulkAction;
+        const tab = this._getTab(key);
+        const recordIds = [...tab.selectedIds];
+        const results = [];
+        let errorMessage;
+        this.bulkAction = {
+            ...this.bulkAction,
+            isRunning: true,
+            processed: 0,
+            total: recordIds.length,
+        };
+
+        try {
+            await runSequentially(
+                toBatches(recordIds, BULK_BATCH_SIZE),
+                async (batch) => {
+                    const result = await this._runBulkBatch(tab, batch);
+                    results.push(...result.results);
+                    this.bulkAction = {
+                        ...this.bulkAction,
+                        processed: this.bulkAction.processed + batch.length,
+                    };
+                },
+            );
+        } catch (error) {
+            // A whole batch was rejected (e.g. invalid value) — stop here
+            errorMessage =
+                error.body?.message || "An unexpected error occurred";
+        }
+
+        const succeededIds = new Set(
+            results.filter((result) => result.success).map((r) => r.recordId),
+        );
+        this.bulkAction = {
+            ...this.bulkAction,
+            isRunning: false,
+            results,
+            errorMessage,
+        };
+        // Keep failed / unprocessed rows selected so they can be retried
+        this._updateTab(key, {
+            selectedIds: recordIds.filter((id) => !succeededIds.has(id)),
+        });
+
+        const failureCount = recordIds.length - succeededIds.size;
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: BULK_ACTION_TITLES[type],
+                message: `${succeededIds.size} succeeded, ${failureCount} failed`,
+                variant: failureCount ? "warning" : "success",
+            }),
+        );
+
+        if (succeededIds.size) {
+            this._publishRecordEvent(
+                key,
+                type === "delete" ? RECORD_EVENTS.DELETE : RECORD_EVENTS.UPDATE,
+                [...succeededIds],
             );
+            if (type !== "delete") {
+                await notifyRecordUpdateAvailable(
+                    [...succeededIds].map((recordId) => ({ recordId })),
+                );
+            }
+            const current = this._getTab(key);
+            if (this._isSearchActive(current)) {
+                await this._executeSearch(key, current.searchTerm.trim());
+            }
+            await this._reloadData(key);
         }
     }
 
-    handleOpportunitySort(event) {
-        const { fieldName, sortDirection } = event.detail;
-        this.opportunitySortBy = fieldName;
-        this.opportunitySortDirection = sortDirection;
-        const sortField = fieldName === "recordUrl" ? "Name" : fieldName;
+    _runBulkBatch(tab, recordIds) {
+        const params = {
+            accountId: this.recordId,
+            relationshipName: tab.relationshipName,
+            recordIds,
+            includeChildAccounts: this.includeChildAccounts,
+        };
+        switch (this.bulkAction.type) {
+            case "update":
+                return bulkUpdateField({
+                    ...params,
+                    fieldSetName: tab.fieldSetName,
+                    fieldName: this.bulkAction.fieldName,
+                    value:
+                        this.bulkAction.value === undefined ||
+                        this.bulkAction.value === null
+                            ? null
+                            : String(this.bulkAction.value),
+                });
+            case "owner":
+                return bulkChangeOwner({
+                    ...params,
+                    ownerId: this.bulkAction.ownerId,
+                });
+            default:
+                return bulkDeleteRecords(params);
+        }
+    }
+
+    // =========================================================
+    //  EXPORT (CSV / XLSX)
+    //  Batched Apex calls cover the full server-side result set
+    //  of the current view, not just the rows loaded so far
+    //  (searches: up to the server's search limit).
+    // =========================================================
+    async handleExport(event) {
+        const key = this._tabKeyFrom(event);
+        const format = event.detail.value;
+        const tab = this._getTab(key);
+        if (tab.isExporting) return;
+        this._updateTab(key, { isExporting: true, exportedCount: 0 });
 
-        if (this._isOpportunitySearchActive) {
-            this._searchOpportunities = this._sortData(
-                [...this._searchOpportunities],
-                sortField,
-                sortDirection,
+        try {
+            const { rows, truncated, isSearchCapped } =
+                await this._fetchAllForExport(key);
+            // Export what the user sees: hidden columns stay out of the file
+            const columns = toExportColumns(
+                visibleColumns(this._tabColumns(tab), tab.hiddenColumns),
             );
-        } else {
-            this._paginatedOpportunities = this._sortData(
-                [...this._paginatedOpportunities],
-                sortField,
-                sortDirection,
+            const fileName = exportFileName(this.accountName, tab.label);
+
+            if (format === EXPORT_FORMATS.XLSX) {
+                downloadFile(
+                    `${fileName}.xlsx`,
+                    format,
+                    buildXlsxFile(tab.label, columns, rows),
+                );
+            } else {
+                downloadFile(`${fileName}.csv`, format, buildCsv(columns, rows));
+            }
+
+            const label = tab.label.toLowerCase();
+            let message = `Exported ${rows.length} ${label}`;
+            if (truncated) {
+                message = `Exported the first ${rows.length} ${label} (export limit reached)`;
+            } else if (isSearchCapped) {
+                message = `Exported the first ${rows.length} ${label} matching the search (search limit reached; narrow the search or use filters to export the rest)`;
+            }
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Export Complete",
+                    message,
+                    variant: truncated || isSearchCapped ? "warning" : "success",
+                }),
+            );
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Export Failed",
+                    message:
+                        error.body?.message || "An unexpected error occurred",
+                    variant: "error",
+                }),
             );
+        } finally {
+            this._updateTab(key, { isExporting: false });
         }
     }
 
+    /**
+     * The rows to export. A search is exported through the search itself,
+     * paged by offset: the same matches in the same (relevance) order as on
+     * screen, and capped like it at the server's search limit.
+     * @returns {{rows: object[], truncated: boolean, isSearchCapped: boolean}}
+     */
+    async _fetchAllForExport(key) {
+        const tab = this._getTab(key);
+        const onProgress = (count) =>
+            this._updateTab(key, { exportedCount: count });
+        let isSearchCapped = false;
+        const fetchPage = this._isSearchActive(tab)
+            ? (offset) =>
+                  searchRelatedRecords({
+                      ...this._queryParams(tab),
+                      searchTerm: tab.searchTerm.trim(),
+                      pageSize: EXPORT_BATCH_SIZE,
+                      offset: offset || 0,
+                  }).then((page) => {
+                      isSearchCapped = page.isTotalCapped;
+                      return {
+                          records: page.records,
+                          nextCursor: page.nextOffset,
+                      };
+                  })
+            : (cursor) =>
+                  exportRelatedRecords({
+                      ...this._queryParams(tab),
+                      searchTerm: null,
+                      batchSize: EXPORT_BATCH_SIZE,
+                      cursor,
+                  });
+        const { records, nextCursor } = await fetchPages(
+            fetchPage,
+            MAX_EXPORT_ROWS,
+            onProgress,
+        );
+
+        return {
+            rows: records.map((record) => flattenRecord(record)),
+            truncated: !!nextCursor,
+            isSearchCapped,
+        };
+    }
+
     // --- Refresh ---
-    async handleRefresh() {
+    // Refreshing starts every tab afresh: unsaved changes are discarded
+    handleRefresh() {
+        const drafted = this._draftedTabs();
+        if (drafted.length) {
+            this.unsavedPrompt = {
+                action: UNSAVED_PROMPT_ACTIONS.REFRESH,
+                title: "Discard Unsaved Changes?",
+                message: `${unsavedSummary(drafted)}. Refreshing discards them.`,
+                confirmLabel: "Discard and Refresh",
+            };
+            return;
+        }
+        this._refresh();
+    }
+
+    async _refresh() {
         this.isLoading = true;
+        // Leaving before the reload completes must not bring the old rows
+        // back from the cache (the new tabs aren't cached until loaded)
+        evictCache(this._cacheKey());
         try {
-            this._paginatedContacts = [];
-            this._paginatedOpportunities = [];
-            this._searchContacts = [];
-            this._searchOpportunities = [];
-            this._contactOffset = 0;
-            this._opportunityOffset = 0;
-            this.enableContactInfiniteLoading = true;
-            this.enableOpportunityInfiniteLoading = true;
-            this.contactSearchTerm = "";
-            this.opportunitySearchTerm = "";
+            this.tabs = this.tabs.map((tab) =>
+                this._createTab({
+                    relationshipName: tab.relationshipName,
+                    fieldSetName: tab.fieldSetName,
+                }),
+            );
 
-            await this._loadInitialData();
+            await Promise.all([
+                this._loadInitialData(),
+                this.template.querySelector("c-activity-timeline")?.refresh(),
+            ]);
 
             this.dispatchEvent(
                 new ShowToastEvent({
@@ -873,72 +3777,106 @@ export default class AccountRelatedRecords extends NavigationMixin(
         }
     }
 
-    handleContactCancel() {
-        this.contactDraftValues = [];
+    // =============================
+    //  PRIVATE HELPERS
+    // =============================
+
+    /**
+     * Re-fetches the rows loaded so far in one call (capped at MAX_RELOAD_SIZE)
+     * and keeps the returned cursor, so infinite loading resumes after them.
+     */
+    async _reloadData(key) {
+        const tab = this._getTab(key);
+        const [page, count] = await Promise.all([
+            getRelatedRecords({
+                ...this._queryParams(tab),
+                pageSize: this._reloadSize(tab),
+                cursor: null,
+            }),
+            getRelatedRecordCount(this._countParams(tab)),
+        ]);
+        this._updateTab(key, {
+            records: this._addRecordUrls(page.records),
+            totalCount: count,
+            cursor: page.nextCursor,
+            enableInfiniteLoading: !!page.nextCursor,
+            // Sharing may have changed too (owner, bulk owner change)
+            recordAccess: {},
+            isLoaded: true,
+            isStale: false,
+        });
+        this._schedulePipelineRefresh(key);
+    }
+
+    // Rows to fetch so the loaded ones come back in one call
+    _reloadSize(tab) {
+        return Math.min(
+            Math.max(tab.records.length, PAGE_SIZE),
+            MAX_RELOAD_SIZE,
+        );
     }
 
-    handleOpportunityCancel() {
-        this.opportunityDraftValues = [];
+    /**
+     * Apex params shared by page, search and export calls. The datatable sorts
+     * the name column by "recordUrl", which maps to the object's name field.
+     */
+    _queryParams(tab) {
+        const sortBy =
+            tab.sortBy === "recordUrl" ? tab.info?.nameField : tab.sortBy;
+        return {
+            accountId: this.recordId,
+            relationshipName: tab.relationshipName,
+            fieldSetName: tab.fieldSetName,
+            filters: this._filterParam(tab),
+            sortBy: sortBy || null,
+            sortDirection: tab.sortDirection || null,
+            includeChildAccounts: this.includeChildAccounts,
+        };
     }
 
-    // =============================
-    //  PRIVATE HELPERS
-    // =============================
+    _countParams(tab) {
+        return {
+            accountId: this.recordId,
+            relationshipName: tab.relationshipName,
+            filters: this._filterParam(tab),
+            includeChildAccounts: this.includeChildAccounts,
+        };
+    }
 
-    async _reloadData(objectType) {
-        if (objectType === "contact") {
-            const currentCount = this._contactOffset;
-            const [result, count] = await Promise.all([
-                getRelatedContacts({
-                    accountId: this.recordId,
-                    pageSize: currentCount,
-                    offsetVal: 0,
-                }),
-                getContactCount({ accountId: this.recordId }),
-            ]);
-            this._paginatedContacts = this._addRecordUrls(result);
-            this.totalContactCount = count;
-            this._contactOffset = result.length;
-            this.enableContactInfiniteLoading = result.length >= currentCount;
-        } else {
-            const currentCount = this._opportunityOffset;
-            const [result, count] = await Promise.all([
-                getRelatedOpportunities({
-                    accountId: this.recordId,
-                    pageSize: currentCount,
-                    offsetVal: 0,
-                }),
-                getOpportunityCount({ accountId: this.recordId }),
-            ]);
-            this._paginatedOpportunities = this._addRecordUrls(result);
-            this.totalOpportunityCount = count;
-            this._opportunityOffset = result.length;
-            this.enableOpportunityInfiniteLoading =
-                result.length >= currentCount;
-        }
+    // Accounts whose records the tabs show: the whole hierarchy in roll-up mode
+    _accountIds() {
+        return this.includeChildAccounts
+            ? this.hierarchy.accountIds
+            : [this.recordId];
     }
 
-    _addRecordUrls(records) {
-        return records.map((record) => ({
-            ...record,
-            recordUrl: "/" + record.Id,
-        }));
+    // Roll-up mode adds the column naming each row's Account
+    _tabColumns(tab) {
+        const columns =
+            this.includeChildAccounts && tab.info
+                ? withAccountColumn(tab.columns, tab.info)
+                : tab.columns;
+        return withRecordLinks(columns, this._urlPattern, this._linkTarget);
     }
 
-    _sortData(data, fieldName, sortDirection) {
-        const isReverse = sortDirection === "desc" ? -1 : 1;
-        return data.sort((a, b) => {
-            let valueA = a[fieldName] || "";
-            let valueB = b[fieldName] || "";
+    // SOSL searches all searchable fields, not only the columns
+    _searchPlaceholder(info) {
+        return `Search ${info.label.toLowerCase()}...`;
+    }
 
-            if (typeof valueA === "string") {
-                valueA = valueA.toLowerCase();
-                valueB = (valueB || "").toLowerCase();
-            }
+    // Paging and match count of an Apex SearchPage
+    _searchPageState(page) {
+        return {
+            searchOffset: page.nextOffset ?? null,
+            searchMatchCount: page.totalCount,
+            isSearchCountCapped: page.isTotalCapped,
+        };
+    }
 
-            if (valueA > valueB) return isReverse;
-            if (valueA < valueB) return -isReverse;
-            return 0;
-        });
+    _addRecordUrls(records) {
+        return records.map((record) => ({
+            ...flattenRecord(record),
+            recordUrl: recordUrlFor(this._urlPattern, record.Id),
+        }));
     }
 }
@@ -0,0 +1,248 @@
+/**
+ * Turns the column metadata returned by
+ * AccountRelatedRecordsController.describeRelatedList into
+ * lightning-datatable column definitions.
+ */
+import { USER_CURRENCY, USER_TIME_ZONE } from "./localeFormat";
+import { CAN_EDIT_FIELD, CAN_DELETE_FIELD } from "./recordAccess";
+
+// Apex Schema.DisplayType (lower-cased) → lightning-datatable type
+const DATATABLE_TYPES = {
+    email: "email",
+    phone: "phone",
+    url: "url",
+    currency: "currency",
+    percent: "percent",
+    double: "number",
+    integer: "number",
+    long: "number",
+    boolean: "boolean",
+    date: "date-local",
+    datetime: "date",
+};
+
+const TYPE_ATTRIBUTES = {
+    currency: { currencyCode: USER_CURRENCY },
+    "date-local": { month: "short", day: "2-digit", year: "numeric" },
+    date: {
+        month: "short",
+        day: "2-digit",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: USER_TIME_ZONE,
+    },
+    percent: { maximumFractionDigits: 0 },
+};
+
+// Row field holding the controlling value a dependent picklist is narrowed
+// by (the draft value while the controlling cell is being edited)
+export function controllerValueField(controllerName) {
+    return `${controllerName}__controllerValue`;
+}
+
+// Row field holding the CSS class of highlighted (live-updated) rows
+export const ROW_CLASS_FIELD = "rowClass";
+const ROW_CELL_ATTRIBUTES = { class: { fieldName: ROW_CLASS_FIELD } };
+
+// Row actions
+const VIEW_ACTION = {
+    label: "View Record",
+    name: "view",
+    iconName: "utility:preview",
+};
+const DELETE_ACTION = {
+    label: "Delete",
+    name: "delete",
+    iconName: "utility:delete",
+};
+
+// Delete only on rows the user may delete (object permission + sharing)
+function rowActions(row, doneCallback) {
+    doneCallback(
+        row[CAN_DELETE_FIELD] ? [VIEW_ACTION, DELETE_ACTION] : [VIEW_ACTION],
+    );
+}
+
+// Field-level security decides the column, sharing the row
+function editableFor(info) {
+    return info.updateable ? { fieldName: CAN_EDIT_FIELD } : false;
+}
+
+/**
+ * Custom cell types of c-related-records-datatable: picklists edit with a
+ * combobox of the record type's values, lookups with a record picker.
+ */
+function editorColumn(column, listInfo) {
+    if (column.dataType === "picklist") {
+        return {
+            type: "picklist",
+            typeAttributes: {
+                objectApiName: listInfo.objectApiName,
+                fieldApiName: column.fieldName,
+                recordTypeId: { fieldName: "RecordTypeId" },
+                defaultRecordTypeId: listInfo.defaultRecordTypeId,
+                isDependent: !!column.controllerName,
+                controllerValue: column.controllerName
+                    ? { fieldName: controllerValueField(column.controllerName) }
+                    : undefined,
+            },
+        };
+    }
+    if (column.dataType === "reference" && column.referenceNameField) {
+        return {
+            type: "lookup",
+            typeAttributes: {
+                objectApiName: column.referenceTo,
+                nameField: column.referenceNameField.split(".")[1],
+                displayValue: { fieldName: column.referenceNameField },
+                savedValue: { fieldName: column.fieldName },
+            },
+        };
+    }
+    return undefined;
+}
+
+/**
+ * @param {object} listInfo RelatedListInfo from Apex
+ * @returns {Array} datatable columns, name column first, row actions last
+ */
+export function buildColumns(listInfo) {
+    const columns = listInfo.columns.map((info) => {
+        if (info.isNameField) {
+            return {
+                label: info.label,
+                fieldName: "recordUrl",
+                type: "url",
+                sortable: true,
+                typeAttributes: {
+                    label: { fieldName: info.fieldName },
+                    target: "_self",
+                    tooltip: { fieldName: info.fieldName },
+                },
+                cellAttributes: { ...ROW_CELL_ATTRIBUTES },
+            };
+        }
+
+        const editor = editorColumn(info, listInfo);
+        if (editor) {
+            return {
+                label: info.label,
+                fieldName: info.fieldName,
+                sortable: info.sortable,
+                editable: editableFor(info),
+                cellAttributes: { ...ROW_CELL_ATTRIBUTES },
+                ...editor,
+            };
+        }
+
+        const type = DATATABLE_TYPES[info.dataType] || "text";
+        const column = {
+            label: info.label,
+            fieldName: info.fieldName,
+            type,
+            sortable: info.sortable,
+            editable: editableFor(info),
+            cellAttributes: { ...ROW_CELL_ATTRIBUTES },
+        };
+        if (TYPE_ATTRIBUTES[type]) {
+            column.typeAttributes = { ...TYPE_ATTRIBUTES[type] };
+        }
+        if (type === "currency") {
+            column.cellAttributes.alignment = "left";
+            // Multi-currency orgs: each row in its own currency
+            if (listInfo.isMultiCurrency) {
+                column.typeAttributes.currencyCode = {
+                    fieldName: "CurrencyIsoCode",
+                };
+            }
+        }
+        return column;
+    });
+
+    columns.push({ type: "action", typeAttributes: { rowActions } });
+    return columns;
+}
+
+/**
+ * Roll-up mode: adds an "Account" column right after the name column, naming
+ * the Account (parent or subsidiary) that owns each row. Apex selects the
+ * parent's Name, which flattenRecord turns into e.g. "Account.Name".
+ */
+export function withAccountColumn(columns, info) {
+    const fieldName = `${info.parentRelationshipName}.Name`;
+    if (columns.some((column) => column.fieldName === fieldName)) {
+        return columns;
+    }
+    const nameIndex = columns.findIndex(
+        (column) => column.fieldName === "recordUrl",
+    );
+    return [
+        ...columns.slice(0, nameIndex + 1),
+        {
+            label: "Account",
+            fieldName,
+            type: "text",
+            sortable: false,
+            cellAttributes: { ...ROW_CELL_ATTRIBUTES },
+        },
+        ...columns.slice(nameIndex + 1),
+    ];
+}
+
+/**
+ * Icon for the tab/summary card: standard objects have a matching
+ * standard:* icon, custom objects fall back to standard:custom.
+ */
+export function iconFor(info) {
+    if (!info || info.isCustom) {
+        return "standard:custom";
+    }
+    return `standard:${info.objectApiName.toLowerCase()}`;
+}
+
+/**
+ * Flattens cross-object values (e.g. { Owner: { Name } }) to "Owner.Name"
+ * keys, which is how field-set columns reference them.
+ */
+export function flattenRecord(record, prefix = "", target = {}) {
+    Object.keys(record).forEach((key) => {
+        const value = record[key];
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+            flattenRecord(value, path, target);
+        } else {
+            target[path] = value;
+        }
+    });
+    return target;
+}
+
+// Columns that can't be hidden: the record name link and the row actions
+function isFixedColumn(column) {
+    return column.fieldName === "recordUrl" || column.type === "action";
+}
+
+/**
+ * Datatable columns without the ones the user hid.
+ */
+export function visibleColumns(columns, hiddenColumns) {
+    const hidden = new Set(hiddenColumns);
+    return columns.filter(
+        (column) => isFixedColumn(column) || !hidden.has(column.fieldName),
+    );
+}
+
+/**
+ * Checkable menu items of the column chooser.
+ */
+export function columnChoices(columns, hiddenColumns) {
+    const hidden = new Set(hiddenColumns);
+    return columns
+        .filter((column) => !isFixedColumn(column))
+        .map((column) => ({
+            label: column.label,
+            value: column.fieldName,
+            checked: !hidden.has(column.fieldName),
+        }));
+}
@@ -0,0 +1,142 @@
+/**
+ * The component outside Account record pages: as a Flow screen component
+ * ("pick the contacts to invite") and on Experience Cloud pages.
+ * - selection modes: what the checkbox column is for, and how many rows
+ * - Flow validation of the selection (minimum / maximum)
+ * - record links built from NavigationMixin.GenerateUrl, so they point at
+ *   the record page of the current app or site instead of "/" + Id
+ */
+
+export const SELECTION_MODES = {
+    BULK: "bulk", // record pages: selected rows feed the bulk actions
+    MULTIPLE: "multiple", // pick any number of rows (Flow output)
+    SINGLE: "single", // pick one row (radio buttons)
+    NONE: "none", // no selection column
+};
+
+/**
+ * Datatable selection settings of a tab.
+ * @param {string} selectionMode  One of SELECTION_MODES (unknown = BULK)
+ * @param {number} maxSelections  Optional cap in MULTIPLE mode
+ * @param {boolean} hasBulkActions The user may run a bulk action on the tab
+ */
+export function selectionSettings(
+    selectionMode,
+    maxSelections,
+    hasBulkActions,
+) {
+    switch (selectionMode) {
+        case SELECTION_MODES.MULTIPLE:
+            return {
+                hideCheckboxColumn: false,
+                maxRowSelection: maxSelections > 0 ? maxSelections : undefined,
+                showBulkActions: false,
+            };
+        case SELECTION_MODES.SINGLE:
+            return {
+                hideCheckboxColumn: false,
+                maxRowSelection: 1,
+                showBulkActions: false,
+            };
+        case SELECTION_MODES.NONE:
+            return {
+                hideCheckboxColumn: true,
+                maxRowSelection: undefined,
+                showBulkActions: false,
+            };
+        default:
+            // Nothing to do with a selection: no checkbox column
+            return {
+                hideCheckboxColumn: !hasBulkActions,
+                maxRowSelection: undefined,
+                showBulkActions: hasBulkActions,
+            };
+    }
+}
+
+/**
+ * Flow screen validation of the selection (the validate() contract).
+ * @returns {{isValid: boolean, errorMessage?: string}}
+ */
+export function validateSelection(
+    selectedCount,
+    minSelections,
+    maxSelections,
+) {
+    if (minSelections > 0 && selectedCount < minSelections) {
+        return {
+            isValid: false,
+            errorMessage:
+                minSelections === 1
+                    ? "Select a record to continue."
+                    : `Select at least ${minSelections} records to continue.`,
+        };
+    }
+    if (maxSelections > 0 && selectedCount > maxSelections) {
+        return {
+            isValid: false,
+            errorMessage: `Select at most ${maxSelections} records.`,
+        };
+    }
+    return { isValid: true };
+}
+
+// Until the app's own URL is known: Lightning Experience resolves "/" + Id
+export const DEFAULT_URL_PATTERN = { prefix: "/", suffix: "" };
+
+/**
+ * The record URL of the current app or site, as prefix + Id + suffix, from
+ * a URL GenerateUrl built for one record ("/lightning/r/<Id>/view",
+ * "/partners/s/detail/<Id>"...). Record page URLs without an object name
+ * only differ by the Id.
+ */
+export function urlPatternFrom(url, recordId) {
+    const index = url ? url.indexOf(recordId) : -1;
+    if (index < 0) return DEFAULT_URL_PATTERN;
+    return {
+        prefix: url.slice(0, index),
+        suffix: url.slice(index + recordId.length),
+    };
+}
+
+export function recordUrlFor(pattern, recordId) {
+    return `${pattern.prefix}${recordId}${pattern.suffix}`;
+}
+
+/**
+ * Rows with their record links rebuilt for the given pattern.
+ */
+export function withRecordUrls(rows, pattern) {
+    return rows.map((row) => ({
+        ...row,
+        recordUrl: recordUrlFor(pattern, row.Id),
+    }));
+}
+
+/**
+ * Columns whose links follow the pattern and open in the given target: the
+ * name column (its URL is on the row) and lookup cells. In a Flow, leaving
+ * the page would lose the flow, so links open a new tab there.
+ */
+export function withRecordLinks(columns, pattern, target) {
+    return columns.map((column) => {
+        if (column.fieldName === "recordUrl") {
+            return {
+                ...column,
+                typeAttributes: { ...column.typeAttributes, target },
+            };
+        }
+        if (column.type === "lookup") {
+            return {
+                ...column,
+                typeAttributes: {
+                    ...column.typeAttributes,
+                    urlPrefix: pattern.prefix,
+                    urlSuffix: pattern.suffix,
+                    target,
+                },
+            };
+        }
+        return column;
+    });
+}
@@ -0,0 +1,203 @@
+import LOCALE from "@salesforce/i18n/locale";
+import { buildXlsx } from "./xlsxWriter";
+import { USER_CURRENCY, USER_TIME_ZONE } from "./localeFormat";
+
+/**
+ * CSV / XLSX export of a related list tab. Rows are the flattened Apex
+ * records; columns are the tab's datatable columns, so the export always
+ * matches what the user sees (labels, order, formatting).
+ */
+
+export const EXPORT_FORMATS = {
+    CSV: "csv",
+    XLSX: "xlsx",
+};
+
+const MIME_TYPES = {
+    csv: "text/csv;charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+// Leading characters that spreadsheets evaluate as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Datatable columns → export columns: drops the row-action column and
+ * exports record names (not URLs or Ids) for the name and lookup columns.
+ */
+export function toExportColumns(datatableColumns) {
+    return datatableColumns
+        .filter((column) => column.type !== "action")
+        .map((column) => {
+            const isNameLink = column.fieldName === "recordUrl";
+            const isLookup = column.type === "lookup";
+            let fieldName = column.fieldName;
+            if (isNameLink) {
+                fieldName = column.typeAttributes.label.fieldName;
+            } else if (isLookup) {
+                // The related record's name rather than its Id
+                fieldName = column.typeAttributes.displayValue.fieldName;
+            }
+            return {
+                label: column.label,
+                fieldName,
+                type: isNameLink || isLookup ? "text" : column.type,
+                currencyCode: column.typeAttributes?.currencyCode,
+            };
+        });
+}
+
+/**
+ * @returns {string} RFC 4180 CSV with a BOM so Excel opens it as UTF-8
+ */
+export function buildCsv(columns, rows) {
+    const lines = [columns.map((column) => csvEscape(column.label)).join(",")];
+    rows.forEach((row) => {
+        lines.push(
+            columns
+                .map((column) => csvEscape(formatForCsv(column, row)))
+                .join(","),
+        );
+    });
+    return "\uFEFF" + lines.join("\r\n");
+}
+
+/**
+ * @returns {Uint8Array} xlsx bytes with typed, formatted cells
+ */
+export function buildXlsxFile(sheetName, columns, rows) {
+    return buildXlsx(
+        sheetName,
+        columns.map((column) => column.label),
+        rows.map((row) => columns.map((column) => toXlsxCell(column, row))),
+    );
+}
+
+/**
+ * Triggers a browser download through a data: URI link.
+ * @param {string} fileName
+ * @param {string} format  One of EXPORT_FORMATS
+ * @param {string|Uint8Array} content
+ */
+export function downloadFile(fileName, format, content) {
+    const bytes =
+        typeof content === "string" ? new TextEncoder().encode(content) : content;
+    const link = document.createElement("a");
+    link.href = `data:${MIME_TYPES[format]};base64,${toBase64(bytes)}`;
+    link.download = fileName;
+    link.target = "_self";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * "Acme Corp - Opportunities - 2026-02-24" with filesystem-unsafe chars removed
+ */
+export function exportFileName(accountName, tabLabel) {
+    const today = new Date().toISOString().slice(0, 10);
+    return `${accountName} - ${tabLabel} - ${today}`.replace(/[\\/:*?"<>|]/g, "");
+}
+
+// =====================
+//  FORMATTING
+// =====================
+
+function currencyOf(column, row) {
+    const code = column.currencyCode;
+    if (code && typeof code === "object") {
+        return row[code.fieldName] || USER_CURRENCY;
+    }
+    return code || USER_CURRENCY;
+}
+
+function formatForCsv(column, row) {
+    const value = row[column.fieldName];
+    if (value === null || value === undefined || value === "") {
+        return "";
+    }
+    switch (column.type) {
+        case "currency":
+            return new Intl.NumberFormat(LOCALE, {
+                style: "currency",
+                currency: currencyOf(column, row),
+            }).format(value);
+        case "percent":
+            // Salesforce stores percents as 0–100
+            return `${new Intl.NumberFormat(LOCALE, { maximumFractionDigits: 2 }).format(value)}%`;
+        case "number":
+            return new Intl.NumberFormat(LOCALE).format(value);
+        case "date-local":
+            return new Intl.DateTimeFormat(LOCALE, {
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                timeZone: "UTC",
+            }).format(new Date(`${value}T00:00:00Z`));
+        case "date":
+            return new Intl.DateTimeFormat(LOCALE, {
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                timeZone: USER_TIME_ZONE,
+            }).format(new Date(value));
+        case "boolean":
+            return value ? "TRUE" : "FALSE";
+        default:
+            return neutralizeFormula(String(value));
+    }
+}
+
+function toXlsxCell(column, row) {
+    const value = row[column.fieldName];
+    if (value === null || value === undefined || value === "") {
+        return { type: "s", value: "" };
+    }
+    switch (column.type) {
+        case "currency":
+            return {
+                type: "n",
+                value,
+                format: `"${currencyOf(column, row)} "#,##0.00`,
+            };
+        case "percent":
+            return { type: "n", value: value / 100, format: "0%" };
+        case "number":
+            return { type: "n", value };
+        case "date-local":
+            // Date-only values have no time zone: convert straight to a serial
+            return {
+                type: "d",
+                value: (Date.parse(`${value}T00:00:00Z`) - EXCEL_EPOCH_MS) / MS_PER_DAY,
+                format: "yyyy-mm-dd",
+            };
+        case "date":
+            return { type: "d", value: new Date(value), format: "yyyy-mm-dd hh:mm" };
+        case "boolean":
+            return { type: "b", value };
+        default:
+            return { type: "s", value: String(value) };
+    }
+}
+
+function neutralizeFormula(text) {
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+function csvEscape(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toBase64(bytes) {
+    let binary = "";
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,163 @@
+/**
+ * Filter panel of a related list tab. Which fields are offered is configured
+ * per object below; labels, types and picklist values come from Apex
+ * (getInitialData). The panel edits a plain "values" object keyed by
+ * field name, which toConditions turns into the conditions Apex binds into
+ * its query. Record Id filters have no panel control: other components set
+ * them over Lightning Message Service (messaging.js).
+ */
+
+// Filter fields per child object, in panel order
+export const FILTER_FIELDS = {
+    Opportunity: ["StageName", "CloseDate", "Amount", "Probability", "Type"],
+    Contact: ["Department", "MailingState", "Title", "Id"],
+};
+
+// Field data type → kind of control in the panel
+const CONTROL_KINDS = {
+    picklist: "picklist",
+    date: "dateRange",
+    currency: "numberRange",
+    double: "numberRange",
+    percent: "numberRange",
+    integer: "numberRange",
+    long: "numberRange",
+    string: "text",
+    email: "text",
+    phone: "text",
+    url: "text",
+    id: "recordIds",
+};
+
+export const DATE_PRESETS = [
+    { label: "This Month", value: "THIS_MONTH" },
+    { label: "This Quarter", value: "THIS_QUARTER" },
+    { label: "Next Quarter", value: "NEXT_QUARTER" },
+    { label: "This Year", value: "THIS_YEAR" },
+];
+
+export function filterFieldsFor(objectApiName) {
+    return FILTER_FIELDS[objectApiName] || [];
+}
+
+/**
+ * View models for the panel controls.
+ * @param {object[]} filterFields FilterField metadata from Apex
+ * @param {object} values         Panel values keyed by field name
+ */
+export function buildFilterControls(filterFields, values) {
+    return filterFields
+        .filter((field) => isPanelKind(CONTROL_KINDS[field.dataType]))
+        .map((field) => {
+            const kind = CONTROL_KINDS[field.dataType];
+            const value = values[field.fieldName];
+            return {
+                fieldName: field.fieldName,
+                label: field.label,
+                isPicklist: kind === "picklist",
+                isDateRange: kind === "dateRange",
+                isNumberRange: kind === "numberRange",
+                isText: kind === "text",
+                options: field.options || [],
+                selected: Array.isArray(value) ? value : [],
+                from: value?.from || null,
+                to: value?.to || null,
+                text: typeof value === "string" ? value : "",
+            };
+        });
+}
+
+/**
+ * Panel values → Apex conditions ({fieldName, operator, values}).
+ * Empty controls are skipped; a range becomes a gte and/or lte condition.
+ */
+export function toConditions(filterFields, values) {
+    const conditions = [];
+    filterFields.forEach((field) => {
+        const kind = CONTROL_KINDS[field.dataType];
+        const value = values[field.fieldName];
+        const fieldName = field.fieldName;
+        if (!kind || value === undefined || value === null) return;
+
+        if (kind === "picklist" || kind === "recordIds") {
+            if (value.length) {
+                conditions.push({ fieldName, operator: "in", values: value });
+            }
+        } else if (kind === "text") {
+            if (value.trim()) {
+                conditions.push({
+                    fieldName,
+                    operator: "contains",
+                    values: [value.trim()],
+                });
+            }
+        } else {
+            if (isSet(value.from)) {
+                conditions.push({
+                    fieldName,
+                    operator: "gte",
+                    values: [String(value.from)],
+                });
+            }
+            if (isSet(value.to)) {
+                conditions.push({
+                    fieldName,
+                    operator: "lte",
+                    values: [String(value.to)],
+                });
+            }
+        }
+    });
+    return conditions;
+}
+
+/**
+ * Number of fields with an active filter (shown on the filter button).
+ */
+export function activeFilterCount(conditions) {
+    return new Set(conditions.map((condition) => condition.fieldName)).size;
+}
+
+/**
+ * Date range of a preset in the user's calendar, as ISO dates.
+ * @returns {{from: string, to: string}}
+ */
+export function datePresetRange(preset, today = new Date()) {
+    const year = today.getFullYear();
+    const quarterStart = Math.floor(today.getMonth() / 3) * 3;
+    switch (preset) {
+        case "THIS_MONTH":
+            return range(year, today.getMonth(), 1);
+        case "THIS_QUARTER":
+            return range(year, quarterStart, 3);
+        case "NEXT_QUARTER":
+            return range(year, quarterStart + 3, 3);
+        case "THIS_YEAR":
+            return range(year, 0, 12);
+        default:
+            return { from: null, to: null };
+    }
+}
+
+// First day of startMonth to the last day of the range (day 0 of the month
+// after it); Date rolls month overflow into the next year
+function range(year, startMonth, months) {
+    return {
+        from: isoDate(new Date(year, startMonth, 1)),
+        to: isoDate(new Date(year, startMonth + months, 0)),
+    };
+}
+
+function isoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function isPanelKind(kind) {
+    return !!kind && kind !== "recordIds";
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null && value !== "";
+}
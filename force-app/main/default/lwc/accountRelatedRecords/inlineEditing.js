@@ -0,0 +1,72 @@
+/**
+ * Draft handling of the inline editors: keeps the datatable drafts in tab
+ * state (merged per record), applies a new stage's default Probability and
+ * feeds dependent picklist editors the controlling value being edited.
+ */
+import { controllerValueField } from "./columnBuilder";
+
+const STAGE_FIELD = "StageName";
+const PROBABILITY_FIELD = "Probability";
+
+/**
+ * Merges the cells changed in one edit into the tab's drafts (one draft
+ * per record, keyed by Id as lightning-datatable expects).
+ */
+export function mergeDrafts(draftValues, changes) {
+    const drafts = new Map(draftValues.map((draft) => [draft.Id, draft]));
+    changes.forEach((change) => {
+        drafts.set(change.Id, { ...drafts.get(change.Id), ...change });
+    });
+    return [...drafts.values()];
+}
+
+/**
+ * A stage change also sets the stage's default Probability, as the
+ * standard Opportunity edit page does. Only when Probability is an editable
+ * column, so the user sees the offered value and can change it before saving.
+ * @param {object} info   RelatedListInfo (stageProbabilities for Opportunities)
+ * @param {object} change One row's changed cells
+ */
+export function withStageProbability(info, change) {
+    const probabilities = info?.stageProbabilities;
+    if (!probabilities || !(STAGE_FIELD in change) || PROBABILITY_FIELD in change) {
+        return change;
+    }
+    const probability = probabilities[change[STAGE_FIELD]];
+    const isEditable = info.columns.some(
+        (column) => column.fieldName === PROBABILITY_FIELD && column.updateable,
+    );
+    return probability === undefined || !isEditable
+        ? change
+        : { ...change, [PROBABILITY_FIELD]: probability };
+}
+
+/**
+ * Rows for the datatable with the controlling values of dependent
+ * picklists: the draft value when the controlling cell was edited, so the
+ * dependent editor offers the values of the new choice.
+ * @param {object[]} rows        Flattened rows
+ * @param {object[]} columnInfos ColumnInfo list of the tab
+ * @param {object[]} draftValues The tab's drafts
+ */
+export function withControllerValues(rows, columnInfos, draftValues) {
+    const controllers = [
+        ...new Set(
+            columnInfos
+                .map((column) => column.controllerName)
+                .filter((name) => !!name),
+        ),
+    ];
+    if (!controllers.length) return rows;
+
+    const drafts = new Map(draftValues.map((draft) => [draft.Id, draft]));
+    return rows.map((row) => {
+        const draft = drafts.get(row.Id) || {};
+        const values = {};
+        controllers.forEach((name) => {
+            values[controllerValueField(name)] =
+                name in draft ? draft[name] : row[name];
+        });
+        return { ...row, ...values };
+    });
+}
@@ -0,0 +1,104 @@
+/**
+ * Kanban board mode of the Opportunities tab: one column per StageName
+ * picklist value, built from the same rows the datatable shows, so both
+ * views always render the same data. Moving a card only changes the row's
+ * StageName here; saving is the component's job.
+ */
+import { USER_CURRENCY, rowCurrency, toUserCurrency } from "./localeFormat";
+import { CAN_EDIT_FIELD } from "./recordAccess";
+
+export const DISPLAY_MODES = {
+    TABLE: "table",
+    BOARD: "board",
+};
+
+const STAGE_FIELD = "StageName";
+
+/**
+ * The board needs the stage on every row, i.e. a StageName column.
+ */
+export function supportsBoard(info) {
+    return (
+        info?.objectApiName === "Opportunity" &&
+        info.columns.some((column) => column.fieldName === STAGE_FIELD)
+    );
+}
+
+/**
+ * Cards can be dragged to another stage when the user may edit StageName.
+ */
+export function canMoveCards(info) {
+    return !!info?.columns.some(
+        (column) => column.fieldName === STAGE_FIELD && column.updateable,
+    );
+}
+
+/**
+ * Board columns in picklist order. Stages of loaded rows that the picklist
+ * no longer offers (inactive values) get a column at the end.
+ * @param {object[]} stageOptions {label, value} picklist values
+ * @param {object[]} rows         Flattened rows of the tab
+ * @param {object}   state        {dropStage, savingIds} drag and save state,
+ *                                conversionRates for totals in the user's currency,
+ *                                stageEditable from canMoveCards
+ */
+export function buildBoardColumns(
+    stageOptions,
+    rows,
+    { dropStage, savingIds, conversionRates, stageEditable },
+) {
+    const stages = [...stageOptions];
+    rows.forEach((row) => {
+        const stage = row[STAGE_FIELD];
+        if (stage && !stages.some((option) => option.value === stage)) {
+            stages.push({ label: stage, value: stage });
+        }
+    });
+
+    return stages.map((stage) => {
+        const stageRows = rows.filter((row) => row[STAGE_FIELD] === stage.value);
+        // Cards may be in different currencies: the total is converted
+        const totalAmount = stageRows.reduce(
+            (sum, row) =>
+                sum +
+                toUserCurrency(Number(row.Amount) || 0, rowCurrency(row), conversionRates),
+            0,
+        );
+        return {
+            key: stage.value,
+            label: stage.label,
+            count: stageRows.length,
+            // NaN until the conversion rates are loaded
+            hasTotal: !Number.isNaN(totalAmount),
+            totalAmount,
+            currencyCode: USER_CURRENCY,
+            columnClass: `board-column ${stage.value === dropStage ? "drop-target" : ""}`,
+            cards: stageRows.map((row) => {
+                const isSaving = savingIds.includes(row.Id);
+                // Only records the user may edit can be moved
+                const isLocked = !stageEditable || !row[CAN_EDIT_FIELD];
+                return {
+                    id: row.Id,
+                    name: row.Name,
+                    url: row.recordUrl,
+                    amount: row.Amount,
+                    currencyCode: rowCurrency(row),
+                    hasAmount: row.Amount !== undefined && row.Amount !== null,
+                    closeDate: row.CloseDate,
+                    // draggable is an enumerated attribute: "true" / "false"
+                    draggable: isSaving || isLocked ? "false" : "true",
+                    cardClass: `board-card ${isSaving ? "saving" : ""} ${isLocked ? "locked" : ""}`,
+                };
+            }),
+        };
+    });
+}
+
+/**
+ * Rows with one record moved to another stage (unchanged when not loaded).
+ */
+export function withStage(rows, recordId, stage) {
+    return rows.map((row) =>
+        row.Id === recordId ? { ...row, [STAGE_FIELD]: stage } : row,
+    );
+}
@@ -0,0 +1,103 @@
+/**
+ * Helpers for live updates through Change Data Capture (lightning/empApi).
+ * Change events are org-wide per object, so they are narrowed down to the
+ * current Account on the client: a change is relevant when it names a row
+ * already in the table, or when its payload sets the parent field to the
+ * Account — or, in roll-up mode, to one of its child Accounts (creates,
+ * undeletes and re-parented records). Deletes of rows not loaded only
+ * carry the Id, so those tabs are recounted instead.
+ */
+
+export const CHANGE_TYPES = {
+    CREATE: "CREATE",
+    UPDATE: "UPDATE",
+    DELETE: "DELETE",
+    UNDELETE: "UNDELETE",
+};
+
+// Header fields that are not real field changes
+const SYSTEM_FIELDS = new Set(["LastModifiedDate", "SystemModstamp", "LastModifiedById"]);
+
+/**
+ * CDC channel of an object: Contact → /data/ContactChangeEvent,
+ * Invoice__c → /data/Invoice__ChangeEvent
+ */
+export function changeEventChannel(objectApiName) {
+    const base = objectApiName.endsWith("__c")
+        ? objectApiName.slice(0, -1)
+        : objectApiName;
+    return `/data/${base}ChangeEvent`;
+}
+
+/**
+ * Flattens an empApi message into what the component needs.
+ * @returns {{entityName: string, changeType: string, recordIds: string[],
+ *            changedFields: string[], commitUser: string, payload: object}}
+ */
+export function parseChangeEvent(message) {
+    const payload = message?.data?.payload || {};
+    const header = payload.ChangeEventHeader || {};
+    return {
+        entityName: header.entityName,
+        changeType: header.changeType,
+        recordIds: header.recordIds || [],
+        changedFields: (header.changedFields || []).filter(
+            (field) => !SYSTEM_FIELDS.has(field),
+        ),
+        commitUser: header.commitUser,
+        payload,
+    };
+}
+
+/**
+ * Gap / overflow events mean individual changes were lost (e.g. a mass
+ * update): the only safe reaction is a reload.
+ */
+export function isGapEvent(change) {
+    return !!change.changeType && change.changeType.startsWith("GAP_");
+}
+
+/**
+ * Does the change concern the given Account's related list?
+ * @param {object} change    Parsed change event
+ * @param {string} parentField Lookup to Account on the child object (e.g. AccountId)
+ * @param {string[]} accountIds Current Account Id, plus its child Accounts in roll-up mode
+ * @param {Set<string>} loadedIds Ids of the rows currently in the table
+ */
+export function isRelevantChange(change, parentField, accountIds, loadedIds) {
+    if (change.recordIds.some((recordId) => loadedIds.has(recordId))) {
+        return true;
+    }
+    // Deletes only carry the Id, so unseen deletes can't be attributed
+    const parentValue = change.payload[parentField];
+    return (
+        !!parentValue &&
+        accountIds.some((accountId) => sameId(parentValue, accountId))
+    );
+}
+
+/**
+ * A delete of rows that aren't loaded: it may have been one of the
+ * Account's, so only a recount can tell.
+ */
+export function isUnattributedDelete(change, loadedIds) {
+    return (
+        change.changeType === CHANGE_TYPES.DELETE &&
+        !change.recordIds.some((recordId) => loadedIds.has(recordId))
+    );
+}
+
+/**
+ * Draft fields the incoming change also touched.
+ */
+export function conflictingFields(change, draft) {
+    if (change.changeType === CHANGE_TYPES.DELETE) {
+        return Object.keys(draft).filter((field) => field !== "Id");
+    }
+    return change.changedFields.filter((field) => field in draft);
+}
+
+// Compares 15- and 18-character Ids
+function sameId(left, right) {
+    return left.slice(0, 15) === right.slice(0, 15);
+}
@@ -0,0 +1,99 @@
+/**
+ * Formatting in the user's Salesforce locale, currency and time zone
+ * (@salesforce/i18n) rather than the browser's: counts, phone numbers, field
+ * values, and amounts converted into the user's currency in multi-currency
+ * orgs.
+ */
+import LOCALE from "@salesforce/i18n/locale";
+import CURRENCY from "@salesforce/i18n/currency";
+import TIME_ZONE from "@salesforce/i18n/timeZone";
+
+export { CURRENCY as USER_CURRENCY, TIME_ZONE as USER_TIME_ZONE };
+
+// Salesforce formats phone numbers in the North American style only for these
+const NORTH_AMERICAN_LOCALES = new Set(["en-US", "en-CA"]);
+
+const countFormat = new Intl.NumberFormat(LOCALE);
+
+/**
+ * Record counts with the locale's grouping (1,234 / 1.234 / 1 234).
+ */
+export function formatCount(value) {
+    return value === undefined || value === null ? "" : countFormat.format(value);
+}
+
+/**
+ * Phone numbers as Salesforce shows them: 10-digit numbers as
+ * (415) 555-1212 for en_US / en_CA users, anything else as entered.
+ */
+export function formatPhone(value) {
+    if (!value || !NORTH_AMERICAN_LOCALES.has(LOCALE) || value.trim().startsWith("+")) {
+        return value;
+    }
+    const digits = value.replace(/\D/g, "");
+    const national =
+        digits.length === 11 && digits.startsWith("1") ? digits.slice(1) : digits;
+    if (national.length !== 10) return value;
+    return `(${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}`;
+}
+
+/**
+ * A field value as text, e.g. for the save conflict dialog.
+ * @param {*} value       Value as Apex / the datatable holds it
+ * @param {string} dataType Apex Schema.DisplayType, lower-cased
+ * @param {string} isoCode Currency of currency values
+ */
+export function formatFieldValue(value, dataType, isoCode = CURRENCY) {
+    if (value === undefined || value === null || value === "") return "";
+    switch (dataType) {
+        case "boolean":
+            return value === true || value === "true" ? "Yes" : "No";
+        case "currency":
+            return new Intl.NumberFormat(LOCALE, {
+                style: "currency",
+                currency: isoCode,
+            }).format(value);
+        case "percent":
+            return `${countFormat.format(value)}%`;
+        case "double":
+        case "integer":
+        case "long":
+            return countFormat.format(value);
+        case "date":
+            // Dates have no time zone: YYYY-MM-DD read as UTC midnight
+            return new Intl.DateTimeFormat(LOCALE, {
+                dateStyle: "medium",
+                timeZone: "UTC",
+            }).format(new Date(value));
+        case "datetime":
+            return new Intl.DateTimeFormat(LOCALE, {
+                dateStyle: "medium",
+                timeStyle: "short",
+                timeZone: TIME_ZONE,
+            }).format(new Date(value));
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Currency of a row's amounts: its CurrencyIsoCode in multi-currency orgs,
+ * else the org's (= the user's) currency.
+ */
+export function rowCurrency(row) {
+    return row.CurrencyIsoCode || CURRENCY;
+}
+
+/**
+ * Amount in the user's currency.
+ * @param {number} amount
+ * @param {string} isoCode Currency of the amount
+ * @param {object} rates   CurrencyInfo.conversionRates (relative to corporate)
+ * @returns {number|undefined} undefined while the rates are unknown
+ */
+export function toUserCurrency(amount, isoCode, rates) {
+    if (isoCode === CURRENCY) return amount;
+    const fromRate = rates?.[isoCode];
+    const toRate = rates?.[CURRENCY];
+    return fromRate && toRate ? (amount / fromRate) * toRate : undefined;
+}
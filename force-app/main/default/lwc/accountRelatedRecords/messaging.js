@@ -0,0 +1,97 @@
+/**
+ * Lightning Message Service channels shared with other components on the
+ * page (a contact panel, a quoting widget...):
+ * - Related_Record_Event__c (published): what the user does with the rows
+ * - Related_Records_Command__c (subscribed): reload or filter the lists
+ * Field descriptions live in the messageChannels metadata.
+ */
+
+// eventType of Related_Record_Event__c
+export const RECORD_EVENTS = {
+    FOCUS: "focus",
+    SELECT: "select",
+    CREATE: "create",
+    UPDATE: "update",
+    DELETE: "delete",
+    UNDELETE: "undelete",
+};
+
+// action of Related_Records_Command__c
+export const COMMANDS = {
+    REFRESH: "refresh",
+    FILTER: "filter",
+    CLEAR_FILTERS: "clearFilters",
+};
+
+// Filter fields a command sets, per object (see filterUtils FILTER_FIELDS)
+const STAGE_FIELD = "StageName";
+const ID_FIELD = "Id";
+
+/**
+ * Message for Related_Record_Event__c.
+ * @param {string} eventType One of RECORD_EVENTS
+ * @param {object} tab       Tab state (relationshipName, info)
+ * @param {string[]} recordIds
+ * @param {string} accountId
+ */
+export function recordEventMessage(eventType, tab, recordIds, accountId) {
+    return {
+        eventType,
+        recordIds: [...recordIds],
+        objectApiName: tab.info?.objectApiName,
+        relationshipName: tab.relationshipName,
+        accountId,
+    };
+}
+
+/**
+ * Is a command for this component? Commands naming another Account are not.
+ */
+export function isCommandFor(message, accountId) {
+    return (
+        Object.values(COMMANDS).includes(message?.action) &&
+        (!message.accountId || sameId(message.accountId, accountId))
+    );
+}
+
+/**
+ * Tabs a command acts on: the named tab, else every tab for refresh and
+ * clearFilters, and for filter the first tab of the object it filters.
+ */
+export function commandTabs(message, tabs) {
+    const loaded = tabs.filter((tab) => tab.info);
+    if (message.relationshipName) {
+        const name = message.relationshipName.toLowerCase();
+        return loaded.filter(
+            (tab) => tab.relationshipName.toLowerCase() === name,
+        );
+    }
+    if (message.action !== COMMANDS.FILTER) {
+        return loaded;
+    }
+    const objectApiName = message.stage ? "Opportunity" : "Contact";
+    const tab = loaded.find((t) => t.info.objectApiName === objectApiName);
+    return tab ? [tab] : [];
+}
+
+/**
+ * Filter values after a filter command: a stage filters StageName, a
+ * contact the Id of a Contact tab (only those tabs offer these filters).
+ * Other filters of the tab are kept.
+ * @returns {object|undefined} undefined when the tab can't filter on it
+ */
+export function commandFilterValues(message, tab) {
+    const fieldName = message.stage ? STAGE_FIELD : ID_FIELD;
+    const value = message.stage || message.contactId;
+    const canFilter =
+        !!value &&
+        tab.filterFields.some((field) => field.fieldName === fieldName);
+    return canFilter
+        ? { ...tab.filterValues, [fieldName]: [value] }
+        : undefined;
+}
+
+// Compares 15- and 18-character Ids
+function sameId(left, right) {
+    return !!right && left.slice(0, 15) === right.slice(0, 15);
+}
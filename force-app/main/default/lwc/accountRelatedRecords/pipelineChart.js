@@ -0,0 +1,126 @@
+/**
+ * Opportunity pipeline panel under the summary cards. Apex returns the
+ * aggregates (PipelineService.PipelineSummary); this module formats them in
+ * the user's locale and turns the stage and close-month totals into bars.
+ * The bars are plain elements sized in percent, so no chart library is needed.
+ */
+import LOCALE from "@salesforce/i18n/locale";
+
+// Smallest visible bar (percent), so stages/months with tiny amounts still show
+const MIN_BAR_PERCENT = 2;
+
+function currencyFormat(currencyCode, compact) {
+    return new Intl.NumberFormat(LOCALE, {
+        style: "currency",
+        currency: currencyCode,
+        notation: compact ? "compact" : "standard",
+        maximumFractionDigits: compact ? 1 : 0,
+    });
+}
+
+// Bar size relative to the largest amount; empty groups get no bar
+function barPercent(amount, maxAmount) {
+    if (!amount || !maxAmount) return 0;
+    return Math.max(MIN_BAR_PERCENT, Math.round((amount / maxAmount) * 100));
+}
+
+// Apex Dates arrive as "YYYY-MM-DD"; build a local date so the month can't shift
+function monthOf(isoDate) {
+    const [year, month] = isoDate.split("-").map(Number);
+    return new Date(year, month - 1, 1);
+}
+
+/**
+ * Pipeline summary → view model of the panel.
+ * @param {object} summary PipelineService.PipelineSummary
+ * @returns {{kpis: object[], stages: object[], months: object[], hasStages: boolean}}
+ */
+export function buildPipelineView(summary) {
+    const compact = currencyFormat(summary.currencyIsoCode, true);
+    const full = currencyFormat(summary.currencyIsoCode, false);
+    const percent = new Intl.NumberFormat(LOCALE, {
+        style: "percent",
+        maximumFractionDigits: 1,
+    });
+    const deals = (count) => `${count} ${count === 1 ? "deal" : "deals"}`;
+
+    const kpis = [
+        {
+            key: "total",
+            label: "Total Pipeline",
+            value: compact.format(summary.totalAmount),
+            detail: deals(summary.opportunityCount),
+            title: full.format(summary.totalAmount),
+        },
+        {
+            key: "weighted",
+            label: "Weighted",
+            value: compact.format(summary.weightedAmount),
+            detail: "Amount × Probability",
+            title: full.format(summary.weightedAmount),
+        },
+        {
+            key: "open",
+            label: "Open",
+            value: compact.format(summary.openAmount),
+            detail: deals(summary.openCount),
+            title: full.format(summary.openAmount),
+        },
+        {
+            key: "won",
+            label: "Closed Won",
+            value: compact.format(summary.wonAmount),
+            detail: deals(summary.wonCount),
+            title: full.format(summary.wonAmount),
+        },
+        {
+            key: "lost",
+            label: "Closed Lost",
+            value: compact.format(summary.lostAmount),
+            detail: deals(summary.lostCount),
+            title: full.format(summary.lostAmount),
+        },
+        {
+            key: "winRate",
+            label: "Win Rate",
+            value:
+                summary.winRate === null || summary.winRate === undefined
+                    ? "—"
+                    : percent.format(summary.winRate / 100),
+            detail: `${deals(summary.wonCount + summary.lostCount)} closed`,
+            title: "Closed Won ÷ all closed opportunities",
+        },
+    ];
+
+    const maxStage = Math.max(0, ...summary.stages.map((s) => s.amount));
+    const stages = summary.stages.map((stage) => ({
+        key: stage.stageName,
+        label: stage.label,
+        value: compact.format(stage.amount),
+        title: `${stage.label}: ${full.format(stage.amount)} (${deals(stage.count)})`,
+        barStyle: `width: ${barPercent(stage.amount, maxStage)}%`,
+    }));
+
+    const monthName = new Intl.DateTimeFormat(LOCALE, { month: "short" });
+    const monthYear = new Intl.DateTimeFormat(LOCALE, {
+        month: "long",
+        year: "numeric",
+    });
+    const thisMonth = new Date();
+    const maxMonth = Math.max(0, ...summary.months.map((m) => m.amount));
+    const months = summary.months.map((month) => {
+        const date = monthOf(month.monthStart);
+        const isCurrent =
+            date.getFullYear() === thisMonth.getFullYear() &&
+            date.getMonth() === thisMonth.getMonth();
+        return {
+            key: month.monthStart,
+            label: monthName.format(date),
+            title: `${monthYear.format(date)}: ${full.format(month.amount)} (${deals(month.count)})`,
+            barClass: `month-bar ${isCurrent ? "current" : ""}`,
+            barStyle: `height: ${barPercent(month.amount, maxMonth)}%`,
+        };
+    });
+
+    return { kpis, stages, months, hasStages: stages.length > 0 };
+}
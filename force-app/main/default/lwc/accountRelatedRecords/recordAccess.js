@@ -0,0 +1,72 @@
+/**
+ * Record-level access of the loaded rows: which ones sharing lets the user
+ * edit and delete (AccountRelatedRecordsController.getRecordAccess). Object
+ * permissions come with the RelatedListInfo; both must allow an action
+ * before the datatable, the board or the row menu offer it.
+ */
+
+// Row fields the datatable reads per row (editable / row actions)
+export const CAN_EDIT_FIELD = "canEdit";
+export const CAN_DELETE_FIELD = "canDelete";
+
+// Ids getRecordAccess accepts per call
+export const ACCESS_BATCH_SIZE = 2000;
+
+/**
+ * Ids of rows whose access is neither known nor being loaded.
+ * @param {object[]} rows
+ * @param {object} recordAccess recordId → {canEdit, canDelete}, null while loading
+ */
+export function idsWithoutAccess(rows, recordAccess) {
+    return [...new Set(rows.map((row) => row.Id))].filter(
+        (id) => !(id in recordAccess),
+    );
+}
+
+/**
+ * Access map with the given Ids marked as loading (null).
+ */
+export function withPendingAccess(recordAccess, recordIds) {
+    const next = { ...recordAccess };
+    recordIds.forEach((id) => {
+        next[id] = null;
+    });
+    return next;
+}
+
+/**
+ * Access map with the RecordAccess results of Apex merged in.
+ */
+export function withLoadedAccess(recordAccess, results) {
+    const next = { ...recordAccess };
+    results.forEach(({ recordId, canEdit, canDelete }) => {
+        next[recordId] = { canEdit, canDelete };
+    });
+    return next;
+}
+
+/**
+ * Access map without the given Ids, so they are checked again (e.g. rows
+ * re-read after someone else changed the owner).
+ */
+export function withoutAccess(recordAccess, recordIds) {
+    const next = { ...recordAccess };
+    recordIds.forEach((id) => delete next[id]);
+    return next;
+}
+
+/**
+ * Rows with the edit / delete flags. Until a row's access is loaded it
+ * counts as neither, so nothing is offered that the save would reject.
+ * @param {object} info RelatedListInfo (object permissions)
+ */
+export function withRecordAccess(rows, recordAccess, info) {
+    return rows.map((row) => {
+        const access = recordAccess[row.Id];
+        return {
+            ...row,
+            [CAN_EDIT_FIELD]: !!(info?.updateable && access?.canEdit),
+            [CAN_DELETE_FIELD]: !!(info?.deletable && access?.canDelete),
+        };
+    });
+}
@@ -0,0 +1,50 @@
+/**
+ * "New" record form of a related list tab. The form follows the page layout
+ * of the chosen record type: getRecordCreateDefaults returns the layout,
+ * which is turned into sections of lightning-input-field definitions here.
+ */
+
+/**
+ * Layout sections → form sections with the fields editable on create.
+ * @param {object} layout        getRecordCreateDefaults layout
+ * @param {object} defaultValues Field values to prefill, keyed by API name
+ */
+export function layoutSections(layout, defaultValues) {
+    return (layout?.sections || [])
+        .map((section, index) => ({
+            key: section.id || `section-${index}`,
+            heading: section.useHeading ? section.heading : null,
+            fields: section.layoutRows
+                .flatMap((row) => row.layoutItems)
+                .filter((item) => item.editableForNew)
+                .flatMap((item) =>
+                    item.layoutComponents
+                        .filter((component) => component.componentType === "Field")
+                        .map((component) => ({
+                            key: component.apiName,
+                            fieldName: component.apiName,
+                            required: item.required,
+                            value: defaultValues[component.apiName],
+                        })),
+                ),
+        }))
+        .filter((section) => section.fields.length > 0);
+}
+
+/**
+ * Record type picker options; the user's default record type is preselected.
+ * @returns {{options: object[], value: string}}
+ */
+export function recordTypeChoice(info) {
+    const options = info.recordTypes.map((recordType) => ({
+        label: recordType.label,
+        value: recordType.value,
+    }));
+    const hasDefault = options.some(
+        (option) => option.value === info.defaultRecordTypeId,
+    );
+    return {
+        options,
+        value: hasDefault ? info.defaultRecordTypeId : options[0]?.value,
+    };
+}
@@ -0,0 +1,72 @@
+/**
+ * Expandable rows of Opportunity tabs: a chevron column opens the row's
+ * products and contact roles (c-opportunity-details), which load from Apex
+ * when opened. lightning-datatable can't nest content in a row, so the open
+ * details are shown right under the table, in row order.
+ */
+import { rowCurrency } from "./localeFormat";
+import { CAN_EDIT_FIELD } from "./recordAccess";
+
+// Row field telling the expand cell whether its row is open
+export const EXPANDED_FIELD = "isExpanded";
+
+export function supportsRowDetails(info) {
+    return info?.objectApiName === "Opportunity";
+}
+
+/**
+ * Columns with the expand chevron first.
+ */
+export function withExpandColumn(columns, info) {
+    return [
+        {
+            label: "",
+            fieldName: EXPANDED_FIELD,
+            type: "expand",
+            initialWidth: 40,
+            hideDefaultActions: true,
+            typeAttributes: {
+                recordId: { fieldName: "Id" },
+                label: { fieldName: info.nameField },
+            },
+        },
+        ...columns,
+    ];
+}
+
+/**
+ * Rows with their open / closed state for the expand cell.
+ */
+export function withExpandedState(rows, expandedIds) {
+    const expanded = new Set(expandedIds);
+    return rows.map((row) => ({
+        ...row,
+        [EXPANDED_FIELD]: expanded.has(row.Id),
+    }));
+}
+
+/**
+ * The open rows shown in the table, in row order: what a details panel
+ * needs from its row. Rows hidden by the search or filters stay closed.
+ * @param {object[]} rows rows with their record access (withRecordAccess)
+ */
+export function expandedRowViews(rows, expandedIds, info) {
+    const expanded = new Set(expandedIds);
+    return rows
+        .filter((row) => expanded.has(row.Id))
+        .map((row) => ({
+            id: row.Id,
+            name: row[info.nameField],
+            currencyCode: rowCurrency(row),
+            canEdit: !!row[CAN_EDIT_FIELD],
+        }));
+}
+
+/**
+ * Expanded Ids after the row's chevron was clicked.
+ */
+export function toggleExpanded(expandedIds, recordId) {
+    return expandedIds.includes(recordId)
+        ? expandedIds.filter((id) => id !== recordId)
+        : [...expandedIds, recordId];
+}
@@ -0,0 +1,169 @@
+/**
+ * Optimistic concurrency for the inline save: before the drafts are sent,
+ * the rows are re-read and compared three ways — the row as loaded, the
+ * user's draft ("mine") and the record on the server ("theirs"). A field
+ * conflicts when someone else changed it since the row loaded, to a value
+ * other than the draft's. The user then keeps theirs, mine or a merged
+ * value per field, and only that is saved.
+ */
+import { flattenRecord } from "./columnBuilder";
+import { formatFieldValue, rowCurrency } from "./localeFormat";
+
+export const CONFLICT_CHOICES = {
+    MINE: "mine",
+    THEIRS: "theirs",
+    MERGE: "merge",
+};
+
+const CHOICE_OPTIONS = [
+    { label: "Keep mine", value: CONFLICT_CHOICES.MINE },
+    { label: "Take theirs", value: CONFLICT_CHOICES.THEIRS },
+    { label: "Merge", value: CONFLICT_CHOICES.MERGE },
+];
+
+/**
+ * Compares the drafts with the records just read from the server.
+ * @param {object[]} draftValues The drafts being saved
+ * @param {Map<string, object>} loadedRows Rows of the table, by Id
+ * @param {object[]} serverRecords Same records from Apex (absent = deleted
+ *        or moved; their save fails with the server's message)
+ * @returns {{conflicts: object[], versions: object}} the conflicting
+ *          records with their fields, and the LastModifiedDate each draft
+ *          may only be saved over (LDS ifUnmodifiedSince), by Id
+ */
+export function findConflicts(draftValues, loadedRows, serverRecords) {
+    const serverRows = new Map(
+        serverRecords.map((record) => [record.Id, flattenRecord(record)]),
+    );
+    const conflicts = [];
+    const versions = {};
+    draftValues.forEach((draft) => {
+        const loaded = loadedRows.get(draft.Id);
+        const server = serverRows.get(draft.Id);
+        if (!loaded?.LastModifiedDate || !server) return;
+        versions[draft.Id] = server.LastModifiedDate;
+        if (
+            Date.parse(server.LastModifiedDate) <=
+            Date.parse(loaded.LastModifiedDate)
+        ) {
+            return;
+        }
+        const fields = Object.keys(draft)
+            .filter((fieldName) => fieldName !== "Id")
+            .filter(
+                (fieldName) =>
+                    !sameValue(server[fieldName], loaded[fieldName]) &&
+                    !sameValue(server[fieldName], draft[fieldName]),
+            )
+            .map((fieldName) => ({
+                fieldName,
+                mine: draft[fieldName],
+                theirs: server[fieldName],
+                choice: CONFLICT_CHOICES.MINE,
+                mergeValue: draft[fieldName],
+            }));
+        if (fields.length) {
+            conflicts.push({ recordId: draft.Id, loaded, server, fields });
+        }
+    });
+    return { conflicts, versions };
+}
+
+/**
+ * The drafts to save once the user has chosen: "theirs" drops the field,
+ * "merge" sends the edited value. Drafts left without fields are dropped.
+ */
+export function resolveDrafts(draftValues, conflicts) {
+    const byId = new Map(
+        conflicts.map((conflict) => [conflict.recordId, conflict]),
+    );
+    return draftValues
+        .map((draft) => {
+            const resolved = { ...draft };
+            (byId.get(draft.Id)?.fields || []).forEach((field) => {
+                if (field.choice === CONFLICT_CHOICES.THEIRS) {
+                    delete resolved[field.fieldName];
+                } else if (field.choice === CONFLICT_CHOICES.MERGE) {
+                    resolved[field.fieldName] = field.mergeValue;
+                }
+            });
+            return resolved;
+        })
+        .filter((draft) => Object.keys(draft).length > 1);
+}
+
+/**
+ * Sets one field's choice or merged value.
+ */
+export function withFieldChange(conflicts, recordId, fieldName, change) {
+    return conflicts.map((conflict) =>
+        conflict.recordId !== recordId
+            ? conflict
+            : {
+                  ...conflict,
+                  fields: conflict.fields.map((field) =>
+                      field.fieldName === fieldName
+                          ? { ...field, ...change }
+                          : field,
+                  ),
+              },
+    );
+}
+
+/**
+ * View model of the conflict dialog: each record with its fields side by
+ * side, formatted like the table shows them.
+ * @param {object[]} conflicts from findConflicts
+ * @param {object} info RelatedListInfo of the tab
+ */
+export function conflictViews(conflicts, info) {
+    const columns = new Map(
+        info.columns.map((column) => [column.fieldName, column]),
+    );
+    return conflicts.map(({ recordId, loaded, server, fields }) => ({
+        recordId,
+        name: server[info.nameField] || loaded[info.nameField] || recordId,
+        modifiedAt: formatFieldValue(server.LastModifiedDate, "datetime"),
+        recordTypeId: server.RecordTypeId,
+        fields: fields.map((field) => {
+            const column = columns.get(field.fieldName) || {};
+            const display = (value) =>
+                displayValue(column, value, [loaded, server]) || "(empty)";
+            return {
+                ...field,
+                key: `${recordId}-${field.fieldName}`,
+                label: column.label || field.fieldName,
+                mineLabel: display(field.mine),
+                theirsLabel: display(field.theirs),
+                options: CHOICE_OPTIONS,
+                isMerge: field.choice === CONFLICT_CHOICES.MERGE,
+            };
+        }),
+    }));
+}
+
+// Lookups show the related record's name when one of the rows carries it
+function displayValue(column, value, [loaded, server]) {
+    if (column.dataType === "reference" && column.referenceNameField) {
+        const row = [server, loaded].find((r) =>
+            sameValue(r[column.fieldName], value),
+        );
+        return (row && row[column.referenceNameField]) || value;
+    }
+    return formatFieldValue(value, column.dataType, rowCurrency(server));
+}
+
+// Datatable drafts hold numbers as strings; empty means null
+function sameValue(left, right) {
+    const a = normalize(left);
+    const b = normalize(right);
+    if (a === b) return true;
+    if (a === null || b === null) return false;
+    return !isNaN(a) && !isNaN(b) && Number(a) === Number(b);
+}
+
+function normalize(value) {
+    return value === undefined || value === null || value === ""
+        ? null
+        : String(value);
+}
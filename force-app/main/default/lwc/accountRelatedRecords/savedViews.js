@@ -0,0 +1,68 @@
+/**
+ * Saved views: the part of a tab's state a view remembers, serialized as
+ * the JSON Apex stores in Related_List_View__c.Settings__c. Apex treats the
+ * JSON as opaque, so the format is owned here.
+ */
+import { DISPLAY_MODES } from "./kanbanBoard";
+
+// Menu values of the view actions (view items use the view Id)
+export const VIEW_ACTIONS = {
+    STANDARD: "standard",
+    SAVE_NEW: "save-new",
+    SAVE_CURRENT: "save-current",
+    SET_DEFAULT: "set-default",
+    CLEAR_DEFAULT: "clear-default",
+    DELETE: "delete",
+};
+
+/**
+ * Tab state → settings JSON.
+ */
+export function viewSettingsOf(tab) {
+    return JSON.stringify({
+        sortBy: tab.sortBy || null,
+        sortDirection: tab.sortDirection || null,
+        searchTerm: tab.searchTerm || "",
+        filterValues: tab.filterValues,
+        hiddenColumns: tab.hiddenColumns,
+        displayMode: tab.displayMode,
+    });
+}
+
+/**
+ * Settings JSON → tab state changes. Missing or malformed parts fall back
+ * to the standard view, so older views keep working as the format grows.
+ */
+export function parseViewSettings(json) {
+    let settings;
+    try {
+        settings = JSON.parse(json) || {};
+    } catch (error) {
+        settings = {};
+    }
+    const isObject = (value) =>
+        value !== null && typeof value === "object" && !Array.isArray(value);
+    return {
+        sortBy: settings.sortBy || undefined,
+        sortDirection: settings.sortDirection || undefined,
+        searchTerm:
+            typeof settings.searchTerm === "string" ? settings.searchTerm : "",
+        filterValues: isObject(settings.filterValues)
+            ? settings.filterValues
+            : {},
+        hiddenColumns: Array.isArray(settings.hiddenColumns)
+            ? settings.hiddenColumns
+            : [],
+        displayMode: Object.values(DISPLAY_MODES).includes(settings.displayMode)
+            ? settings.displayMode
+            : DISPLAY_MODES.TABLE,
+    };
+}
+
+/**
+ * Menu label of a view: shared views show their owner, the default is marked.
+ */
+export function viewLabel(view) {
+    const owner = view.isOwner ? "" : ` (${view.ownerName})`;
+    return `${view.name}${owner}${view.isDefault ? " ★" : ""}`;
+}
@@ -0,0 +1,45 @@
+/**
+ * Match highlighting of the search results: while a search is shown, the
+ * name, text and email columns become the "highlight" cell type of
+ * c-related-records-datatable, which marks the words of the search term.
+ */
+
+// Column types whose cells can show highlighted text (and how they link)
+const HIGHLIGHT_LINKS = {
+    text: undefined,
+    email: "email",
+};
+
+/**
+ * Columns with the text cells switched to the "highlight" type.
+ * @param {Array} columns datatable columns (columnBuilder.buildColumns)
+ * @param {string} term   search term of the rows shown; none → unchanged
+ */
+export function withHighlightedMatches(columns, term) {
+    if (!term) return columns;
+    return columns.map((column) => {
+        // Name column: a record link labelled with the name field
+        if (column.fieldName === "recordUrl") {
+            return {
+                ...column,
+                type: "highlight",
+                typeAttributes: {
+                    term,
+                    label: column.typeAttributes.label,
+                    linkType: "record",
+                    target: column.typeAttributes.target,
+                },
+            };
+        }
+        if (!(column.type in HIGHLIGHT_LINKS)) return column;
+        return {
+            ...column,
+            type: "highlight",
+            typeAttributes: {
+                term,
+                linkType: HIGHLIGHT_LINKS[column.type],
+                inputType: column.type,
+            },
+        };
+    });
+}
@@ -0,0 +1,53 @@
+/**
+ * Apex calls that run one after another, each started when the previous
+ * one returned: export pages follow a cursor, bulk action batches stop at
+ * the first rejected batch, and progress is shown as they come in.
+ */
+
+/**
+ * Splits items into batches of at most size items.
+ */
+export function toBatches(items, size) {
+    return Array.from({ length: Math.ceil(items.length / size) }, (_, index) =>
+        items.slice(index * size, (index + 1) * size),
+    );
+}
+
+/**
+ * Calls run(item) for each item, one after another.
+ * @param {Array} items
+ * @param {function} run item → Promise
+ * @returns {Promise<Array>} the results in order; rejects with the first
+ *          failure, and the items after it are not run
+ */
+export function runSequentially(items, run) {
+    return items.reduce(
+        (previous, item) =>
+            previous.then((results) =>
+                run(item).then((result) => [...results, result]),
+            ),
+        Promise.resolve([]),
+    );
+}
+
+/**
+ * Loads pages until the last one, or until maxRecords are loaded.
+ * @param {function} fetchPage   cursor → Promise of {records, nextCursor}
+ * @param {number} maxRecords    stop after this many records
+ * @param {function} onProgress  called with the record count after each page
+ * @returns {Promise<{records: object[], nextCursor: string|null}>}
+ *          nextCursor is set when records were left unloaded
+ */
+export function fetchPages(fetchPage, maxRecords, onProgress = () => {}) {
+    const records = [];
+    const fetchFrom = (cursor) =>
+        fetchPage(cursor).then((page) => {
+            records.push(...page.records);
+            onProgress(records.length);
+            const nextCursor = page.nextCursor || null;
+            return nextCursor && records.length < maxRecords
+                ? fetchFrom(nextCursor)
+                : { records, nextCursor };
+        });
+    return fetchFrom(null);
+}
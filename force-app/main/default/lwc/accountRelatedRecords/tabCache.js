@@ -0,0 +1,84 @@
+/**
+ * Client cache of the loaded tabs, per Account and related-list setting.
+ * Module state outlives the component, so switching tabs, moving to another
+ * Account and coming back shows the last rows at once; the component then
+ * revalidates them (stale-while-revalidate). Nothing is kept across page
+ * reloads.
+ */
+import { ROW_CLASS_FIELD } from "./columnBuilder";
+
+const MAX_ENTRIES = 20; // Accounts kept, least recently used dropped first
+const MAX_AGE_MS = 30 * 60 * 1000; // older entries are loaded afresh instead
+
+// cache key → { savedAt, state }; Map order = least recently used first
+const entries = new Map();
+
+export function cacheKey(recordId, relatedLists) {
+    return `${recordId}|${relatedLists || ""}`;
+}
+
+/**
+ * The cached component state, or undefined when there is none or it is
+ * too old to show.
+ */
+export function readCache(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (Date.now() - entry.savedAt > MAX_AGE_MS) return undefined;
+    entries.set(key, entry);
+    return entry.state;
+}
+
+/**
+ * Caches the component state: the tabs plus the active tab, view, roll-up
+ * mode, hierarchy and saved views they were loaded with.
+ */
+export function writeCache(key, state) {
+    entries.delete(key);
+    entries.set(key, {
+        savedAt: Date.now(),
+        state: { ...state, tabs: state.tabs.map(cacheableTab) },
+    });
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+/**
+ * Forgets an Account's cached state, e.g. when the user asked for fresh data.
+ */
+export function evictCache(key) {
+    entries.delete(key);
+}
+
+/**
+ * A tab without what only makes sense while it is on screen: drafts
+ * (stored on their own, see unsavedDrafts.js), selection, progress, the
+ * live-update highlight. Record access is checked again when the tab is
+ * shown, as sharing may have changed meanwhile.
+ */
+function cacheableTab(tab) {
+    const withoutHighlight = (rows) =>
+        rows.map((row) =>
+            row[ROW_CLASS_FIELD] ? { ...row, [ROW_CLASS_FIELD]: undefined } : row,
+        );
+    return {
+        ...tab,
+        records: withoutHighlight(tab.records),
+        searchResults: withoutHighlight(tab.searchResults),
+        draftValues: [],
+        draftBases: {},
+        saveErrors: undefined,
+        selectedIds: [],
+        recordAccess: {},
+        filterDraft: tab.filterValues,
+        isFilterPanelOpen: false,
+        isLoadingRows: false,
+        isLoadingMore: false,
+        isSearching: false,
+        isExporting: false,
+        exportedCount: 0,
+        boardSavingIds: [],
+    };
+}
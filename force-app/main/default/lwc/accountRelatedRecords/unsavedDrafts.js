@@ -0,0 +1,116 @@
+/**
+ * Unsaved inline edits outside the datatable:
+ * - kept in sessionStorage per Account and tab, so leaving the page (or
+ *   reloading it) and coming back restores them; nothing outlives the
+ *   browser tab
+ * - drafts of rows a search or filter hides are kept, and only the visible
+ *   ones are handed to the datatable (its Save and Cancel act on those)
+ * Each draft is stored with its row as it was when first edited: the save's
+ * conflict check compares the server with that row, not with a newer copy
+ * reloaded since.
+ */
+
+const STORAGE_PREFIX = "accountRelatedRecords.drafts";
+
+// Field sets change the columns, so drafts belong to one configuration
+function storageKey(recordId, tab) {
+    return `${STORAGE_PREFIX}|${recordId}|${tab.key}|${tab.fieldSetName || ""}`;
+}
+
+/**
+ * The tab's stored drafts, or none. Storage may be unavailable (private
+ * browsing, blocked by the browser): drafts then live in memory only.
+ * @returns {{draftValues: object[], draftBases: object}}
+ */
+export function readDrafts(recordId, tab) {
+    try {
+        const stored = JSON.parse(
+            window.sessionStorage.getItem(storageKey(recordId, tab)),
+        );
+        if (Array.isArray(stored?.draftValues)) {
+            return {
+                draftValues: stored.draftValues,
+                draftBases: stored.draftBases || {},
+            };
+        }
+    } catch (error) {
+        console.error("Error reading unsaved changes:", error);
+    }
+    return { draftValues: [], draftBases: {} };
+}
+
+/**
+ * Stores the tab's drafts; a tab without drafts is removed.
+ */
+export function writeDrafts(recordId, tab) {
+    const key = storageKey(recordId, tab);
+    try {
+        if (tab.draftValues.length) {
+            window.sessionStorage.setItem(
+                key,
+                JSON.stringify({
+                    draftValues: tab.draftValues,
+                    draftBases: tab.draftBases,
+                }),
+            );
+        } else {
+            window.sessionStorage.removeItem(key);
+        }
+    } catch (error) {
+        console.error("Error storing unsaved changes:", error);
+    }
+}
+
+/**
+ * The rows drafts were made on, by Id: kept for records still drafted,
+ * taken from the loaded rows for records drafted for the first time.
+ * @param {object} draftBases Current bases, by record Id
+ * @param {object[]} draftValues The tab's drafts
+ * @param {object[]} rows Loaded rows (records and search results)
+ */
+export function withDraftBases(draftBases, draftValues, rows) {
+    const rowsById = new Map(rows.map((row) => [row.Id, row]));
+    const bases = {};
+    draftValues.forEach(({ Id }) => {
+        const base = draftBases[Id] || rowsById.get(Id);
+        if (base) {
+            bases[Id] = base;
+        }
+    });
+    return bases;
+}
+
+/**
+ * Splits the drafts into those of the rows shown and the others.
+ * @returns {{visible: object[], hidden: object[]}}
+ */
+export function splitDrafts(draftValues, rows) {
+    const shownIds = new Set(rows.map((row) => row.Id));
+    return {
+        visible: draftValues.filter((draft) => shownIds.has(draft.Id)),
+        hidden: draftValues.filter((draft) => !shownIds.has(draft.Id)),
+    };
+}
+
+/**
+ * The drafts left out of a save or cancel of some of them.
+ */
+export function otherDrafts(draftValues, handled) {
+    const handledIds = new Set(handled.map((draft) => draft.Id));
+    return draftValues.filter((draft) => !handledIds.has(draft.Id));
+}
+
+/**
+ * "Unsaved changes on 3 rows of Contacts and Cases"
+ * @param {object[]} tabs Tabs with drafts
+ */
+export function unsavedSummary(tabs) {
+    const count = tabs.reduce((sum, tab) => sum + tab.draftValues.length, 0);
+    const labels = tabs.map((tab) => tab.label);
+    const names =
+        labels.length > 1
+            ? `${labels.slice(0, -1).join(", ")} and ${labels.at(-1)}`
+            : labels[0];
+    const rows = count === 1 ? "1 row" : `${count} rows`;
+    return `Unsaved changes on ${rows} of ${names}`;
+}
@@ -0,0 +1,281 @@
+/**
+ * Minimal XLSX (Office Open XML) writer — one worksheet, inline strings,
+ * typed number/date cells with number formats. Packs the parts into an
+ * uncompressed ("stored") zip, so no third-party library or static
+ * resource is needed.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+const FIRST_CUSTOM_NUMFMT_ID = 164;
+const DOS_DATE_1980 = 0x21; // 1980-01-01, the earliest valid zip entry date
+
+/**
+ * @param {string} sheetName
+ * @param {string[]} headers Column header labels
+ * @param {Array<Array<{type: string, value: *, format?: string}>>} rows
+ *        Cell types: "s" text, "n" number, "d" Date (or Excel serial), "b" boolean.
+ *        format is an Excel number format code, e.g. "0%" or "#,##0.00".
+ * @returns {Uint8Array} xlsx file bytes
+ */
+export function buildXlsx(sheetName, headers, rows) {
+    const styles = createStyleRegistry();
+    const headerRow = headers.map((label) => ({ type: "s", value: label }));
+    const allRows = [headerRow, ...rows];
+
+    const sheetRows = allRows
+        .map((cells, rowIndex) => {
+            const rowNumber = rowIndex + 1;
+            const xmlCells = cells
+                .map((cell, colIndex) =>
+                    cellXml(cell, `${columnName(colIndex)}${rowNumber}`, styles),
+                )
+                .join("");
+            return `<row r="${rowNumber}">${xmlCells}</row>`;
+        })
+        .join("");
+
+    const sheetXml =
+        XML_HEADER +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows}</sheetData>` +
+        "</worksheet>";
+
+    return zip([
+        { name: "[Content_Types].xml", content: CONTENT_TYPES_XML },
+        { name: "_rels/.rels", content: ROOT_RELS_XML },
+        { name: "xl/workbook.xml", content: workbookXml(sheetName) },
+        { name: "xl/_rels/workbook.xml.rels", content: WORKBOOK_RELS_XML },
+        { name: "xl/styles.xml", content: styles.toXml() },
+        { name: "xl/worksheets/sheet1.xml", content: sheetXml },
+    ]);
+}
+
+/**
+ * Excel date serial (days since 1899-12-30) for a Date, using its
+ * local wall-clock time, which is what the user saw in the table.
+ */
+export function toExcelSerial(date) {
+    const localMs = date.getTime() - date.getTimezoneOffset() * 60000;
+    return (localMs - EXCEL_EPOCH_MS) / MS_PER_DAY;
+}
+
+// =====================
+//  CELLS & STYLES
+// =====================
+
+function cellXml(cell, ref, styles) {
+    if (cell.value === null || cell.value === undefined || cell.value === "") {
+        return "";
+    }
+    const styleAttr = cell.format ? ` s="${styles.styleFor(cell.format)}"` : "";
+    switch (cell.type) {
+        case "n":
+            return `<c r="${ref}"${styleAttr}><v>${Number(cell.value)}</v></c>`;
+        case "d": {
+            const serial =
+                cell.value instanceof Date ? toExcelSerial(cell.value) : cell.value;
+            return `<c r="${ref}"${styleAttr}><v>${serial}</v></c>`;
+        }
+        case "b":
+            return `<c r="${ref}" t="b"${styleAttr}><v>${cell.value ? 1 : 0}</v></c>`;
+        default:
+            return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(
+                String(cell.value),
+            )}</t></is></c>`;
+    }
+}
+
+// One cellXfs entry per distinct number format; style 0 is the default
+function createStyleRegistry() {
+    const formats = [];
+    return {
+        styleFor(format) {
+            let index = formats.indexOf(format);
+            if (index === -1) {
+                formats.push(format);
+                index = formats.length - 1;
+            }
+            return index + 1;
+        },
+        toXml() {
+            const numFmts = formats
+                .map(
+                    (code, i) =>
+                        `<numFmt numFmtId="${FIRST_CUSTOM_NUMFMT_ID + i}" formatCode="${escapeXml(code)}"/>`,
+                )
+                .join("");
+            const xfs = formats
+                .map(
+                    (code, i) =>
+                        `<xf numFmtId="${FIRST_CUSTOM_NUMFMT_ID + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`,
+                )
+                .join("");
+            return (
+                XML_HEADER +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                (formats.length
+                    ? `<numFmts count="${formats.length}">${numFmts}</numFmts>`
+                    : "") +
+                '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                `<cellXfs count="${formats.length + 1}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>${xfs}</cellXfs>` +
+                "</styleSheet>"
+            );
+        },
+    };
+}
+
+function columnName(index) {
+    let name = "";
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+function escapeXml(value) {
+    return Array.from(value)
+        .filter(isXmlChar)
+        .join("")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Control characters are invalid in XML 1.0, except tab, LF and CR
+function isXmlChar(char) {
+    const code = char.charCodeAt(0);
+    return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+// =====================
+//  PACKAGE PARTS
+// =====================
+
+const CONTENT_TYPES_XML =
+    XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    "</Types>";
+
+const ROOT_RELS_XML =
+    XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>";
+
+const WORKBOOK_RELS_XML =
+    XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    "</Relationships>";
+
+function workbookXml(sheetName) {
+    // Sheet names: max 31 chars, no []:*?/\
+    const safeName = sheetName.replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Sheet1";
+    return (
+        XML_HEADER +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(safeName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>"
+    );
+}
+
+// =====================
+//  ZIP (stored, no compression)
+// =====================
+
+let crcTable;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // local file header signature
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(8, 0, true); // method: stored
+        local.setUint16(12, DOS_DATE_1980, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central directory signature
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true); // version needed
+        central.setUint16(10, 0, true); // method: stored
+        central.setUint16(14, DOS_DATE_1980, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true); // local header offset
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+function concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let position = 0;
+    parts.forEach((part) => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
@@ -0,0 +1,332 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import { NavigationMixin } from "lightning/navigation";
+import TIME_ZONE from "@salesforce/i18n/timeZone";
+import getActivityTimeline from "@salesforce/apex/AccountRelatedRecordsController.getActivityTimeline";
+
+const PAGE_SIZE = 20; // Entries per Apex call
+
+// Type filter buttons, in display order (values: ActivityTimelineService)
+const TYPES = [
+    { value: "Task", label: "Tasks", iconName: "standard:task" },
+    { value: "Call", label: "Calls", iconName: "standard:log_a_call" },
+    { value: "Event", label: "Events", iconName: "standard:event" },
+    { value: "Email", label: "Emails", iconName: "standard:email" },
+];
+const TYPES_BY_VALUE = Object.fromEntries(TYPES.map((t) => [t.value, t]));
+
+// Quick actions: header buttons and entry menus
+const ACTIONS = {
+    LOG_CALL: "log-call",
+    NEW_TASK: "new-task",
+};
+
+/**
+ * Activity tab of accountRelatedRecords: Tasks, logged calls, Events and
+ * emails of the Account and of its Contacts and Opportunities, newest first.
+ * Pages through Apex (keyset cursor) with "Load More"; "Log a Call" and
+ * "New Task" open a Task form prefilled with the Contact (WhoId) and the
+ * Account or Opportunity (WhatId).
+ */
+export default class ActivityTimeline extends NavigationMixin(
+    LightningElement,
+) {
+    /**
+     * The Account. A new value (or roll-up mode) reloads the timeline.
+     */
+    @api
+    get recordId() {
+        return this._recordId;
+    }
+    set recordId(value) {
+        if (value === this._recordId) return;
+        this._recordId = value;
+        if (this._isConnected) this.refresh();
+    }
+
+    /**
+     * Roll-up mode of the parent: activities of the child Accounts too.
+     */
+    @api
+    get includeChildAccounts() {
+        return this._includeChildAccounts;
+    }
+    set includeChildAccounts(value) {
+        if (!!value === this._includeChildAccounts) return;
+        this._includeChildAccounts = !!value;
+        if (this._isConnected) this.refresh();
+    }
+
+    entries = [];
+    selectedTypes = []; // none selected = all types
+    isLoading = false;
+    isLoadingMore = false;
+    error;
+    taskDialog; // Task form state (undefined when closed)
+
+    _recordId;
+    _includeChildAccounts = false;
+    _isConnected = false;
+    _cursor = null;
+    _request = 0; // ignores responses of superseded requests
+
+    connectedCallback() {
+        this._isConnected = true;
+        this.refresh();
+    }
+
+    disconnectedCallback() {
+        this._isConnected = false;
+    }
+
+    // =====================
+    //  LOADING
+    // =====================
+
+    /**
+     * Reloads the first page, e.g. after the parent's Refresh.
+     */
+    @api
+    async refresh() {
+        if (!this.recordId) return;
+        const request = ++this._request;
+        this.isLoading = true;
+        try {
+            const page = await this._fetchPage(null);
+            if (request !== this._request) return;
+            this.entries = page.entries;
+            this._cursor = page.nextCursor;
+            this.error = undefined;
+        } catch (error) {
+            if (request !== this._request) return;
+            this.entries = [];
+            this._cursor = null;
+            this.error = error;
+        } finally {
+            if (request === this._request) this.isLoading = false;
+        }
+    }
+
+    async handleLoadMore() {
+        if (!this._cursor || this.isLoadingMore) return;
+        const request = this._request;
+        this.isLoadingMore = true;
+        try {
+            const page = await this._fetchPage(this._cursor);
+            // Reloaded (filters, Account) meanwhile
+            if (request !== this._request) return;
+            this.entries = [...this.entries, ...page.entries];
+            this._cursor = page.nextCursor;
+        } catch (error) {
+            this._toast(
+                "Could Not Load Activities",
+                error.body?.message || "Unknown error",
+                "error",
+            );
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    _fetchPage(cursor) {
+        return getActivityTimeline({
+            accountId: this.recordId,
+            types: this.selectedTypes.length ? this.selectedTypes : null,
+            pageSize: PAGE_SIZE,
+            cursor,
+            includeChildAccounts: this._includeChildAccounts,
+        });
+    }
+
+    // =====================
+    //  COMPUTED
+    // =====================
+
+    get typeFilters() {
+        return TYPES.map((type) => {
+            const isSelected = this.selectedTypes.includes(type.value);
+            return {
+                ...type,
+                variant: isSelected ? "brand" : "neutral",
+                ariaPressed: String(isSelected),
+            };
+        });
+    }
+
+    get allTypesVariant() {
+        return this.selectedTypes.length ? "neutral" : "brand";
+    }
+
+    get entryViews() {
+        const today = todayInUserTimeZone();
+        return this.entries.map((entry) => {
+            const type = TYPES_BY_VALUE[entry.type];
+            const isEvent = entry.type === "Event";
+            const isOverdue =
+                !isEvent &&
+                !entry.isClosed &&
+                !!entry.dueDate &&
+                entry.dueDate < today;
+            return {
+                ...entry,
+                iconName: type.iconName,
+                typeLabel: type.label.slice(0, -1),
+                title: entry.subject || "(No subject)",
+                isEvent,
+                hasWho: !!entry.whoId,
+                hasWhat: !!entry.whatId,
+                hasEmailAddresses: !!(entry.fromAddress || entry.toAddress),
+                // Open tasks show their due date, everything else its status
+                showDueDate: !isEvent && !entry.isClosed && !!entry.dueDate,
+                isOverdue,
+                itemClass: `timeline-item timeline-${entry.type.toLowerCase()}${
+                    entry.isClosed ? " is-closed" : ""
+                }`,
+            };
+        });
+    }
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    get hasError() {
+        return !!this.error;
+    }
+
+    get errorMessage() {
+        return this.error?.body?.message || "Could not load the activities";
+    }
+
+    get showEmptyState() {
+        return !this.hasEntries && !this.isLoading && !this.error;
+    }
+
+    get emptyMessage() {
+        return this.selectedTypes.length
+            ? "No activities of the selected types. Try other filters."
+            : "This account has no activities yet.";
+    }
+
+    get hasMore() {
+        return !!this._cursor;
+    }
+
+    // =====================
+    //  TYPE FILTERS
+    // =====================
+
+    handleTypeToggle(event) {
+        const value = event.currentTarget.dataset.type;
+        this.selectedTypes = this.selectedTypes.includes(value)
+            ? this.selectedTypes.filter((type) => type !== value)
+            : [...this.selectedTypes, value];
+        this.refresh();
+    }
+
+    handleAllTypes() {
+        if (!this.selectedTypes.length) return;
+        this.selectedTypes = [];
+        this.refresh();
+    }
+
+    // =====================
+    //  NAVIGATION
+    // =====================
+
+    handleOpenRecord(event) {
+        event.preventDefault();
+        this[NavigationMixin.Navigate]({
+            type: "standard__recordPage",
+            attributes: {
+                recordId: event.currentTarget.dataset.id,
+                actionName: "view",
+            },
+        });
+    }
+
+    // =====================
+    //  QUICK ACTIONS (Task form)
+    // =====================
+
+    // Header buttons: the Account itself
+    handleQuickAction(event) {
+        this._openTaskDialog(event.currentTarget.dataset.action, {
+            whatId: this.recordId,
+        });
+    }
+
+    // Entry menu: the entry's Contact and Account / Opportunity
+    handleEntryAction(event) {
+        const entry = this.entries.find(
+            (e) => e.id === event.currentTarget.dataset.id,
+        );
+        this._openTaskDialog(event.detail.value, {
+            whoId: entry?.whoId,
+            whatId: entry?.whatId || this.recordId,
+        });
+    }
+
+    _openTaskDialog(action, { whoId, whatId }) {
+        const isCall = action === ACTIONS.LOG_CALL;
+        this.taskDialog = {
+            isCall,
+            title: isCall ? "Log a Call" : "New Task",
+            subject: isCall ? "Call" : "",
+            whoId: whoId || null,
+            whatId: whatId || null,
+            isSaving: false,
+        };
+    }
+
+    handleTaskCancel() {
+        this.taskDialog = undefined;
+    }
+
+    /**
+     * Calls are Tasks with TaskSubtype "Call", completed today: the form
+     * only asks for what was discussed.
+     */
+    handleTaskSubmit(event) {
+        event.preventDefault();
+        const fields = { ...event.detail.fields };
+        if (this.taskDialog.isCall) {
+            fields.TaskSubtype = "Call";
+            fields.Status = "Completed";
+            fields.ActivityDate = todayInUserTimeZone();
+        }
+        this.taskDialog = { ...this.taskDialog, isSaving: true };
+        this.template
+            .querySelector("lightning-record-edit-form")
+            .submit(fields);
+    }
+
+    handleTaskSuccess() {
+        const isCall = this.taskDialog?.isCall;
+        this.taskDialog = undefined;
+        this._toast(
+            isCall ? "Call Logged" : "Task Created",
+            isCall
+                ? "The call was added to the timeline"
+                : "The task was created",
+            "success",
+        );
+        this.refresh();
+    }
+
+    // lightning-messages in the form shows the error
+    handleTaskError() {
+        this.taskDialog = { ...this.taskDialog, isSaving: false };
+    }
+
+    _toast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
+
+// YYYY-MM-DD of today for the user, like Task.ActivityDate
+function todayInUserTimeZone() {
+    return new Intl.DateTimeFormat("en-CA", { timeZone: TIME_ZONE }).format(
+        new Date(),
+    );
+}
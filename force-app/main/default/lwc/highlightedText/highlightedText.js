@@ -0,0 +1,54 @@
+import { LightningElement, api } from "lwc";
+
+// Regex syntax in a search word is matched literally
+const REGEX_SPECIAL = /[.*+?^${}()|[\]\\]/g;
+// SOSL wildcards and phrase quotes aren't part of the matched text
+const SEARCH_SYNTAX = /[*?"]/g;
+
+/**
+ * Highlight cell of relatedRecordsDatatable: the cell text with the words of
+ * the search term marked, as a record or email link when the column links.
+ * Matching is case-insensitive, like SOSL.
+ */
+export default class HighlightedText extends LightningElement {
+    @api value; // the cell value: record URL on name cells
+    @api label; // text shown instead of the value (name cells)
+    @api term;
+    @api linkType; // "record", "email" or undefined for plain text
+    @api target = "_self"; // of record links
+
+    get text() {
+        const text = this.label ?? this.value;
+        return text === undefined || text === null ? "" : String(text);
+    }
+
+    get href() {
+        if (!this.value) return undefined;
+        if (this.linkType === "record") return this.value;
+        if (this.linkType === "email") return `mailto:${this.value}`;
+        return undefined;
+    }
+
+    /**
+     * The text split into matched and unmatched parts; splitting on a
+     * capturing group puts the matches at the odd indexes.
+     */
+    get parts() {
+        const words = (this.term || "")
+            .replace(SEARCH_SYNTAX, " ")
+            .split(/\s+/)
+            .filter((word) => word)
+            .map((word) => word.replace(REGEX_SPECIAL, "\\$&"));
+        if (!words.length || !this.text) {
+            return [{ key: "0", text: this.text, className: "" }];
+        }
+        return this.text
+            .split(new RegExp(`(${words.join("|")})`, "gi"))
+            .map((text, index) => ({
+                key: String(index),
+                text,
+                className: index % 2 ? "highlight-match" : "",
+            }))
+            .filter((part) => part.text);
+    }
+}
@@ -0,0 +1,51 @@
+import { LightningElement, api, wire } from "lwc";
+import { getRecord, getFieldValue } from "lightning/uiRecordApi";
+
+/**
+ * Lookup cell of relatedRecordsDatatable: links to the related record by
+ * name. The name comes with the loaded row; only a cell edited to another
+ * record (an unsaved draft) reads the new record's name through LDS.
+ */
+export default class LookupCell extends LightningElement {
+    @api recordId; // the cell value: the draft when the cell was edited
+    @api savedRecordId; // the value of the loaded row
+    @api savedLabel; // the related record's name on the loaded row
+    @api objectApiName;
+    @api nameField;
+    // Record URL around the Id: the app's or site's record pages
+    @api urlPrefix = "/";
+    @api urlSuffix = "";
+    @api target = "_self";
+
+    _draftLabel;
+
+    get draftRecordId() {
+        return this.recordId && this.recordId !== this.savedRecordId
+            ? this.recordId
+            : undefined;
+    }
+
+    get nameFields() {
+        return [`${this.objectApiName}.${this.nameField}`];
+    }
+
+    @wire(getRecord, { recordId: "$draftRecordId", optionalFields: "$nameFields" })
+    wiredDraftRecord({ data, error }) {
+        if (data) {
+            this._draftLabel = getFieldValue(data, this.nameFields[0]);
+        } else if (error) {
+            console.error("Error loading the selected record:", error);
+        }
+    }
+
+    get label() {
+        if (this.draftRecordId) {
+            return this._draftLabel || this.recordId;
+        }
+        return this.savedLabel || this.recordId;
+    }
+
+    get recordUrl() {
+        return `${this.urlPrefix}${this.recordId}${this.urlSuffix}`;
+    }
+}
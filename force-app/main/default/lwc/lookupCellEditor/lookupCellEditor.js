@@ -0,0 +1,45 @@
+import { LightningElement, api } from "lwc";
+
+/**
+ * Inline editor of lookup cells (relatedRecordsDatatable): a record picker
+ * on the lookup's target object, so users pick a record instead of typing
+ * an Id.
+ *
+ * Implements the input API the datatable expects of a data-inputable
+ * element: value, validity, focus(), showHelpMessageIfInvalid().
+ */
+export default class LookupCellEditor extends LightningElement {
+    @api label;
+    @api required;
+    @api objectApiName;
+
+    _value = null;
+
+    @api
+    get value() {
+        return this._value;
+    }
+    set value(value) {
+        this._value = value || null;
+    }
+
+    @api
+    get validity() {
+        return { valid: !this.required || !!this._value };
+    }
+
+    @api
+    focus() {
+        this.refs.picker?.focus();
+    }
+
+    @api
+    showHelpMessageIfInvalid() {
+        this.refs.picker?.reportValidity();
+    }
+
+    handleChange(event) {
+        // Clearing the picker clears the lookup
+        this._value = event.detail.recordId || null;
+    }
+}
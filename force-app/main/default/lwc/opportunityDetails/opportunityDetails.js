@@ -0,0 +1,280 @@
+import { LightningElement, api } from "lwc";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import {
+    updateRecord,
+    notifyRecordUpdateAvailable,
+} from "lightning/uiRecordApi";
+import getOpportunityLineItems from "@salesforce/apex/AccountRelatedRecordsController.getOpportunityLineItems";
+import getOpportunityContactRoles from "@salesforce/apex/AccountRelatedRecordsController.getOpportunityContactRoles";
+
+// Line item fields → datatable columns (Product2.Name is the name column)
+const LINE_ITEM_COLUMNS = {
+    ProductCode: { label: "Product Code", type: "text" },
+    Quantity: { label: "Quantity", type: "number" },
+    UnitPrice: { label: "Sales Price", type: "currency" },
+    Discount: { label: "Discount", type: "percent-fixed" },
+    TotalPrice: { label: "Total Price", type: "currency" },
+    ServiceDate: { label: "Date", type: "date-local" },
+    Description: { label: "Line Description", type: "text" },
+};
+const PRODUCT_NAME_FIELD = "productName";
+
+/**
+ * Details of an expanded Opportunity row in accountRelatedRecords: its
+ * products (editable inline where the user may edit the Opportunity and the
+ * field) and its contact roles. Both load from Apex when the row is opened.
+ *
+ * Events:
+ * - lineitemschange {opportunityId}: line items were saved; the Opportunity's
+ *   Amount follows them, so its row should be re-read
+ * - contactselect {contactId}: a contact role's contact was clicked
+ * - collapse {opportunityId}: the close button was clicked
+ */
+export default class OpportunityDetails extends LightningElement {
+    @api opportunityId;
+    @api opportunityName;
+    @api currencyCode; // the Opportunity's, which its line items share
+    @api canEdit = false; // sharing: the user may edit the Opportunity
+
+    lineItems; // OpportunityDetailService.LineItems
+    lineItemsError;
+    contactRoles = [];
+    contactRolesError;
+    isLoading = true;
+    draftValues = [];
+    saveErrors;
+    isSaving = false;
+
+    connectedCallback() {
+        this._load();
+    }
+
+    // Each section loads on its own: no access to products still shows roles
+    async _load() {
+        this.isLoading = true;
+        const [lineItems, contactRoles] = await Promise.allSettled([
+            getOpportunityLineItems({ opportunityId: this.opportunityId }),
+            getOpportunityContactRoles({ opportunityId: this.opportunityId }),
+        ]);
+        if (lineItems.status === "fulfilled") {
+            this.lineItems = lineItems.value;
+            this.lineItemsError = undefined;
+        } else {
+            this.lineItemsError = errorMessage(lineItems.reason);
+        }
+        if (contactRoles.status === "fulfilled") {
+            this.contactRoles = contactRoles.value;
+            this.contactRolesError = undefined;
+        } else {
+            this.contactRolesError = errorMessage(contactRoles.reason);
+        }
+        this.isLoading = false;
+    }
+
+    // =====================
+    //  LINE ITEMS
+    // =====================
+
+    get lineItemColumns() {
+        if (!this.lineItems) return [];
+        const updateable = new Set(
+            this.canEdit ? this.lineItems.updateableFields : [],
+        );
+        const columns = this.lineItems.fields.map((fieldName) => {
+            const { label, type } = LINE_ITEM_COLUMNS[fieldName];
+            const column = {
+                label,
+                fieldName,
+                type,
+                editable: updateable.has(fieldName),
+            };
+            if (type === "currency") {
+                column.typeAttributes = { currencyCode: this.currencyCode };
+                column.cellAttributes = { alignment: "left" };
+            }
+            if (type === "date-local") {
+                column.typeAttributes = {
+                    month: "short",
+                    day: "2-digit",
+                    year: "numeric",
+                };
+            }
+            return column;
+        });
+        return [
+            { label: "Product", fieldName: PRODUCT_NAME_FIELD, type: "text" },
+            ...columns,
+        ];
+    }
+
+    get lineItemRows() {
+        return (this.lineItems?.records || []).map((record) => ({
+            ...record,
+            [PRODUCT_NAME_FIELD]: record.Product2?.Name,
+        }));
+    }
+
+    get hasLineItems() {
+        return this.lineItemRows.length > 0;
+    }
+
+    get lineItemCount() {
+        return this.lineItemRows.length;
+    }
+
+    get lineItemsTotal() {
+        return this.lineItemRows.reduce(
+            (sum, row) => sum + (row.TotalPrice || 0),
+            0,
+        );
+    }
+
+    get showLineItemsTotal() {
+        return (
+            this.hasLineItems && this.lineItems.fields.includes("TotalPrice")
+        );
+    }
+
+    get hasMoreLineItems() {
+        return !!this.lineItems?.hasMore;
+    }
+
+    /**
+     * Saves the edited line items with LDS; rows that fail keep their drafts
+     * and show the server's message, like the related lists.
+     */
+    async handleLineItemSave(event) {
+        const drafts = event.detail.draftValues;
+        this.isSaving = true;
+        try {
+            const outcomes = await Promise.allSettled(
+                drafts.map((draft) => updateRecord({ fields: { ...draft } })),
+            );
+            const rows = {};
+            const failed = [];
+            outcomes.forEach((outcome, index) => {
+                if (outcome.status === "fulfilled") return;
+                const draft = drafts[index];
+                failed.push(draft);
+                rows[draft.Id] = {
+                    title: "Not saved",
+                    messages: [errorMessage(outcome.reason)],
+                    fieldNames: Object.keys(draft).filter((f) => f !== "Id"),
+                };
+            });
+            const savedCount = drafts.length - failed.length;
+            const summary = `${failed.length} of ${drafts.length} products not saved`;
+
+            this.draftValues = failed;
+            this.saveErrors = failed.length
+                ? {
+                      rows,
+                      table: {
+                          title: summary,
+                          messages: Object.values(rows).map(
+                              (row) => row.messages[0],
+                          ),
+                      },
+                  }
+                : undefined;
+
+            if (savedCount) {
+                this.dispatchEvent(
+                    new CustomEvent("lineitemschange", {
+                        detail: { opportunityId: this.opportunityId },
+                    }),
+                );
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: "Products Updated",
+                        message:
+                            savedCount === 1
+                                ? "1 product saved"
+                                : `${savedCount} products saved`,
+                        variant: "success",
+                    }),
+                );
+                await this._refreshAfterSave();
+            }
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Error Updating Products",
+                    message: errorMessage(error),
+                    variant: "error",
+                }),
+            );
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    // The products are saved by now: a failed re-read is no failed save
+    async _refreshAfterSave() {
+        try {
+            // The Opportunity's Amount is the sum of its line items
+            await notifyRecordUpdateAvailable([
+                { recordId: this.opportunityId },
+            ]);
+            this.lineItems = await getOpportunityLineItems({
+                opportunityId: this.opportunityId,
+            });
+        } catch (error) {
+            console.error("Error reloading products:", error);
+        }
+    }
+
+    handleLineItemCancel() {
+        this.draftValues = [];
+        this.saveErrors = undefined;
+    }
+
+    // =====================
+    //  CONTACT ROLES
+    // =====================
+
+    get contactRoleViews() {
+        return this.contactRoles.map((role) => ({
+            id: role.Id,
+            contactId: role.ContactId,
+            contactName: role.Contact?.Name || role.ContactId,
+            title: role.Contact?.Title,
+            role: role.Role || "No role",
+            isPrimary: role.IsPrimary,
+        }));
+    }
+
+    get hasContactRoles() {
+        return this.contactRoles.length > 0;
+    }
+
+    get contactRoleCount() {
+        return this.contactRoles.length;
+    }
+
+    // The page shows the contact on its Contacts tab
+    handleContactClick(event) {
+        event.preventDefault();
+        this.dispatchEvent(
+            new CustomEvent("contactselect", {
+                detail: { contactId: event.currentTarget.dataset.id },
+            }),
+        );
+    }
+
+    handleCollapse() {
+        this.dispatchEvent(
+            new CustomEvent("collapse", {
+                detail: { opportunityId: this.opportunityId },
+            }),
+        );
+    }
+}
+
+function errorMessage(error) {
+    return (
+        error?.body?.output?.errors?.[0]?.message ||
+        error?.body?.message ||
+        "An unexpected error occurred"
+    );
+}
@@ -0,0 +1,97 @@
+import { LightningElement, api, wire } from "lwc";
+import { getPicklistValues } from "lightning/uiRecordApi";
+
+const NONE_OPTION = { label: "--None--", value: "" };
+
+/**
+ * Inline editor of picklist cells (relatedRecordsDatatable). Values come
+ * from LDS getPicklistValues for the row's record type, so users can only
+ * pick what the record type allows; a dependent picklist only offers the
+ * values valid for the controlling value.
+ *
+ * Implements the input API the datatable expects of a data-inputable
+ * element: value, validity, focus(), showHelpMessageIfInvalid().
+ */
+export default class PicklistCellEditor extends LightningElement {
+    @api label;
+    @api required;
+    @api objectApiName;
+    @api fieldApiName;
+    @api recordTypeId; // the row's RecordTypeId (undefined without record types)
+    @api defaultRecordTypeId;
+    @api isDependent;
+    @api controllerValue; // the row's controlling value, draft included
+
+    _value = "";
+    _picklist;
+
+    @api
+    get value() {
+        // An empty choice clears the field
+        return this._value === "" ? null : this._value;
+    }
+    set value(value) {
+        this._value = value ?? "";
+    }
+
+    @api
+    get validity() {
+        return { valid: !this.required || this._value !== "" };
+    }
+
+    @api
+    focus() {
+        this.refs.combobox?.focus();
+    }
+
+    @api
+    showHelpMessageIfInvalid() {
+        this.refs.combobox?.reportValidity();
+    }
+
+    get qualifiedFieldName() {
+        return `${this.objectApiName}.${this.fieldApiName}`;
+    }
+
+    get effectiveRecordTypeId() {
+        return this.recordTypeId || this.defaultRecordTypeId;
+    }
+
+    @wire(getPicklistValues, {
+        recordTypeId: "$effectiveRecordTypeId",
+        fieldApiName: "$qualifiedFieldName",
+    })
+    wiredValues({ data, error }) {
+        if (data) {
+            this._picklist = data;
+        } else if (error) {
+            console.error(`Error loading ${this.qualifiedFieldName} values:`, error);
+        }
+    }
+
+    get isLoading() {
+        return !this._picklist;
+    }
+
+    get options() {
+        if (!this._picklist) return [];
+        let values = this._picklist.values;
+        if (this.isDependent) {
+            // validFor lists the indexes of the controlling values a value is valid for
+            const index = this._picklist.controllerValues[String(this.controllerValue)];
+            values = values.filter((entry) => entry.validFor.includes(index));
+        }
+        const options = values.map(({ label, value }) => ({ label, value }));
+        return this.required ? options : [NONE_OPTION, ...options];
+    }
+
+    get placeholder() {
+        return this.isDependent && !this.options.length
+            ? "No values for the controlling field"
+            : "Select a value";
+    }
+
+    handleChange(event) {
+        this._value = event.detail.value;
+    }
+}
@@ -0,0 +1,105 @@
+import { api } from "lwc";
+import LightningDatatable from "lightning/datatable";
+import picklistTemplate from "./picklist.html";
+import picklistEditTemplate from "./picklistEdit.html";
+import lookupTemplate from "./lookup.html";
+import lookupEditTemplate from "./lookupEdit.html";
+import highlightTemplate from "./highlight.html";
+import highlightEditTemplate from "./highlightEdit.html";
+import expandTemplate from "./expand.html";
+
+/**
+ * lightning-datatable with inline editors that know the field's values.
+ * Column definitions come from accountRelatedRecords/columnBuilder.js.
+ *
+ * - picklist: combobox of the values the record's record type offers;
+ *   dependent picklists are narrowed by the controlling value
+ * - lookup: record picker; the cell shows the related record's name
+ * - highlight: text, email and name cells of search results with the
+ *   matched words marked; edits like a text (or email) cell
+ * - expand: chevron opening the row's details (Opportunity products and
+ *   contact roles), reported with a "rowexpand" event
+ *
+ * A cell of another row getting focus (click or keyboard) is reported with
+ * a "rowfocus" event, which lightning-datatable doesn't have.
+ */
+export default class RelatedRecordsDatatable extends LightningDatatable {
+    static customTypes = {
+        picklist: {
+            template: picklistTemplate,
+            editTemplate: picklistEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: [
+                "objectApiName",
+                "fieldApiName",
+                "recordTypeId",
+                "defaultRecordTypeId",
+                "isDependent",
+                "controllerValue",
+            ],
+        },
+        lookup: {
+            template: lookupTemplate,
+            editTemplate: lookupEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: [
+                "objectApiName",
+                "nameField",
+                "displayValue",
+                "savedValue",
+                "urlPrefix",
+                "urlSuffix",
+                "target",
+            ],
+        },
+        highlight: {
+            template: highlightTemplate,
+            editTemplate: highlightEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: [
+                "term",
+                "label",
+                "linkType",
+                "inputType",
+                "target",
+            ],
+        },
+        expand: {
+            template: expandTemplate,
+            typeAttributes: ["recordId", "label"],
+        },
+    };
+
+    _focusedRowId;
+
+    connectedCallback() {
+        super.connectedCallback();
+        this.template.addEventListener("focusin", this._handleFocusIn);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        this.template.removeEventListener("focusin", this._handleFocusIn);
+    }
+
+    _handleFocusIn = (event) => {
+        const row = event.target.closest?.("tr[data-row-key-value]");
+        const recordId = row?.dataset.rowKeyValue;
+        if (!recordId || recordId === this._focusedRowId) return;
+        this._focusedRowId = recordId;
+        this.dispatchEvent(
+            new CustomEvent("rowfocus", { detail: { recordId } }),
+        );
+    };
+
+    /**
+     * Scrolls the row into view, e.g. a contact opened from an Opportunity's
+     * contact roles. Relies on the row key lightning-datatable renders.
+     */
+    @api
+    scrollToRow(recordId) {
+        this.template
+            .querySelector(`tr[data-row-key-value="${recordId}"]`)
+            ?.scrollIntoView({ block: "center", behavior: "smooth" });
+    }
+}
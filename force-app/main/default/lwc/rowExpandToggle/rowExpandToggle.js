@@ -0,0 +1,35 @@
+import { LightningElement, api } from "lwc";
+
+/**
+ * Expand cell of relatedRecordsDatatable: a chevron that opens or closes the
+ * details of its row. Datatable cells can't call back into the page, so the
+ * click goes out as a "rowexpand" event that bubbles out of the datatable.
+ */
+export default class RowExpandToggle extends LightningElement {
+    @api recordId;
+    @api isExpanded = false;
+    @api label; // the row's name, for screen readers
+
+    get iconName() {
+        return this.isExpanded ? "utility:chevrondown" : "utility:chevronright";
+    }
+
+    get alternativeText() {
+        const name = this.label || "row";
+        return this.isExpanded ? `Collapse ${name}` : `Expand ${name}`;
+    }
+
+    get ariaExpanded() {
+        return String(!!this.isExpanded);
+    }
+
+    handleClick() {
+        this.dispatchEvent(
+            new CustomEvent("rowexpand", {
+                bubbles: true,
+                composed: true,
+                detail: { recordId: this.recordId },
+            }),
+        );
+    }
+}